@@ -2,7 +2,7 @@
 // @name         FarmRPG Chat Enhancer
 // @namespace    http://tampermonkey.net/
 // @version      2.0.0
-// @description  Smart chat enhancements: mention notifications, message highlighting, session separator, attention pins, and keyword alerts for FarmRPG chat. Designed to improve chat experience with customizable features and persistent settings.
+// @description  Smart chat enhancements: mention notifications, message highlighting, session separator, attention pins, keyword and wishlist alerts, a trade board, item prices, chat history and transcript export for FarmRPG chat. Designed to improve chat experience with customizable features and persistent settings.
 // @author       Cadis Etrama Di Raizel
 // @match        https://farmrpg.com/
 // @match        https://*.farmrpg.com/
@@ -24,13 +24,30 @@
  *   - child[5] or children[5]: message text content
  * - Profile links format: profile.php?user_name=<username>
  * - Usernames can have spaces replaced with "+"
+ * - parseChatMessage() reads this layout (with fallbacks) into one record;
+ *   features should use that record instead of reaching into children
  *
  * Features implemented:
  * 1. Mention notifications (desktop notifications when your username appears)
  * 2. Message highlighting (border around your own messages)
  * 3. Session separator (visual marker for new messages after reload)
- * 4. Attention markers (pin messages for later - clears on reload)
- * 5. Keyword watcher (highlight messages containing specific items)
+ * 4. Attention markers (pin messages for later, optionally kept across reloads)
+ * 5. Keyword watcher (highlight messages matching words or ((item)) names)
+ * 6. Ignore list (hide, collapse or dim messages from chosen players)
+ * 7. Watched players (per-player colors, "player is online" notifications)
+ * 8. Chat history (local IndexedDB archive with search)
+ * 9. Alert rules (mentions and keywords plus custom author/item/keyword/
+ *    channel/time rules with notify, highlight, badge, sound and pin actions)
+ * 10. Sound alerts (Web Audio tones for mentions, keywords, watched players)
+ * 11. Notification jump and unread counter (click a notification to open the
+ *     message; step through unread mentions and keyword hits)
+ * 12. Chat channels (per-channel read position, rule matches and pins)
+ * 13. Account profiles (separate settings, pins and history per account)
+ * 14. Settings sharing (JSON export/import with a checked preview)
+ * 15. Transcript export (visible chat, pins or history as Markdown/CSV/JSON)
+ * 16. Trade board (buy/sell offers parsed from chat)
+ * 17. Wishlist (alerts for offers within your quantity and price limits)
+ * 18. Item prices (your reference prices as tags next to item links)
  **/
 
 "use strict";
@@ -40,30 +57,175 @@
 // ============================================================================
 
 const CONFIG = {
-  STORAGE_KEY: "farmrpg_chat_username",
+  SETTINGS_KEY: "farmrpg_chat_settings",
+  // Known accounts; per-account data lives under "<key>:<account>"
+  PROFILES_KEY: "farmrpg_chat_profiles",
+  SETTINGS_VERSION: 3,
+  LEGACY_USERNAME_KEY: "farmrpg_chat_username",
+  LEGACY_KEYWORDS_KEY: "farmrpg_chat_keywords",
+  PINS_KEY: "farmrpg_chat_pins",
+  ARCHIVE_DB_NAME: "farmrpg_chat_archive",
+  ARCHIVE_DB_VERSION: 1,
+  ARCHIVE_STORE: "messages",
+  ARCHIVE_PRUNE_INTERVAL: 60 * 1000,
+  // How often to look for a different logged-in account
+  ACCOUNT_CHECK_INTERVAL: 30 * 1000,
+  // Window for per-rule notification limits; extra matches become a digest
+  ALERT_RATE_WINDOW: 60 * 1000,
+  HISTORY_RESULT_LIMIT: 100,
+  HISTORY_CONTEXT_SIZE: 3,
   SEEN_MESSAGES_KEY: "farmrpg_seen_messages",
+  // Lowercased channel name -> id of the newest message seen there
+  LAST_READ_KEY: "farmrpg_chat_last_read",
   MAX_SEEN_MESSAGES: 100,
   HIGHLIGHT_BORDER: "3px solid #fb7a24",
   SEPARATOR_COLOR: "#fb7a24",
   CHAT_SELECTORS: ["#chatzoneDesktop", "#chatzoneMobile"],
+  // FarmRPG lists the newest chat line first
+  CHAT_NEWEST_FIRST: true,
   MARKER_COLOR: "#ffd700",
   MARKER_BORDER: "3px solid #ffd700",
   MARKER_BG: "rgba(255, 215, 0, 0.1)",
   MARKER_ICON: "📌",
-  KEYWORDS_STORAGE_KEY: "farmrpg_chat_keywords",
+  // Elements this script injects into chat lines; ignored when parsing
+  UI_CLASS: "chat-enhancer-ui",
+  PROFILE_LINK_SELECTOR: 'a[href*="profile.php?user_name="]',
+  // The side menu, whose profile link is always the logged-in player's.
+  // Page content and the navbar list other players (profiles, friends,
+  // mail), so they are never read.
+  SELF_PROFILE_CONTAINER: ".panel-left",
+  TIMESTAMP_PATTERN: /\d{1,2}:\d{2}/,
+  STAFF_PATTERN: /\b(admin|mod|moderator|staff)\b/i,
   KEYWORD_HIGHLIGHT_COLOR: "#a855f7",
   KEYWORD_HIGHLIGHT_BG: "rgba(168, 85, 247, 0.15)",
+  // Longest regular expression keyword accepted from imported settings
+  MAX_IMPORTED_REGEX_LENGTH: 200,
+  WISHLIST_HIGHLIGHT_COLOR: "#059669",
+  CHANNEL_SELECTORS: [
+    "#chatChannel",
+    "#chatchannel",
+    "select[name='channel']",
+    ".chat-channel",
+  ],
+  // How often an open trade board refreshes offer ages
+  TRADE_BOARD_REFRESH: 30 * 1000,
+  // Assigned in turn to newly watched players
+  WATCH_COLORS: ["#22c55e", "#3b82f6", "#ec4899", "#14b8a6", "#eab308"],
+};
+
+// Persisted settings shape. Bump CONFIG.SETTINGS_VERSION and add an entry to
+// SETTINGS_MIGRATIONS whenever a stored field changes meaning.
+const DEFAULT_SETTINGS = {
+  version: CONFIG.SETTINGS_VERSION,
+  username: null,
+  // Alert rules (see ALERT RULES). Mention and keyword alerts are the
+  // built-in rules, switched on and off by their sidebar toggles.
+  rules: createDefaultRules(),
+  features: {
+    mentions: false,
+    highlighting: false,
+    separator: true,
+    markers: false,
+    keywords: false,
+  },
+  pins: {
+    // Keep pin snapshots in localStorage instead of clearing on reload
+    persistent: false,
+  },
+  // Players whose messages are hidden, collapsed or dimmed:
+  // [{ slug, name, mode: "hide" | "collapse" | "dim" }]
+  ignored: [],
+  // Players highlighted in their own color: [{ slug, name, color, notify }]
+  // where notify announces the first message from them each session
+  watched: [],
+  // Items to trade: [{ item, side: "buy" | "sell", quantity, price,
+  // currency: "silver" | "gold" }]. Alerts fire on offers from the other side
+  // within the price limit; 0 means any quantity or price.
+  wishlist: [],
+  prices: {
+    // Reference value tags next to ((item)) links
+    showTags: true,
+    // [{ item, price, currency: "silver" | "gold" }], price per item
+    items: [],
+  },
+  trade: {
+    // Offers leave the trade board this long after they were posted
+    expiryMinutes: 30,
+  },
+  // Synthesized sound cues (see SOUND ALERTS)
+  sound: {
+    enabled: false,
+    // 0-1
+    volume: 0.6,
+    // Also play while this tab has focus
+    whenFocused: false,
+  },
+  mentions: {
+    // Nicknames that count as mentioning you, alongside your username
+    aliases: [],
+    // Explicit @name mentions skip rate limits and quiet hours
+    atPriority: false,
+  },
+  // Do-not-disturb schedule: notifications are held back, highlights are not
+  quietHours: {
+    enabled: false,
+    from: "22:00",
+    to: "07:00",
+  },
+  archive: {
+    enabled: true,
+    // 0 disables the limit
+    retentionDays: 30,
+    maxMessages: 5000,
+  },
 };
 
 // Global state
 const state = {
+  settings: null,
+  // Slug of the detected account whose profile is loaded, or null
+  account: null,
+  // Cached account profile index (see loadProfiles)
+  profiles: null,
+  // Logged-in name the saved-username warning was last shown for
+  usernameWarning: null,
+  // Other account seen on the last check, and the one last offered a switch
+  pendingAccount: null,
+  offeredAccount: null,
   username: null,
   observer: null,
-  seenMessages: new Set(),
-  lastKnownMessage: null,
-  markedMessages: new Set(),
+  observerStarting: false,
+  // Shared Web Audio context, created on the first sound
+  audioContext: null,
+  archiveDb: null,
+  lastArchivePrune: 0,
+  // Lowercased channel name -> { lastReadMessage, ruleMatches } where
+  // ruleMatches maps rule id -> ids of messages that rule already alerted on
+  channels: new Map(),
+  // Channel name on screen as of the last chat update
+  activeChannel: null,
+  // Logged once when no CHANNEL_SELECTORS element is on the page
+  channelControlMissing: false,
+  // Whether the chat has had lines since the observer started; the game may
+  // fill an empty chat after the script loads
+  chatLoaded: false,
+  // Pinned message id -> snapshot (see createPinSnapshot)
+  markedMessages: new Map(),
+  // Pins removed by the last "Clear All Pins", kept for undo
+  clearedPins: null,
   keywords: new Set(),
-  keywordMatches: new Set(),
+  // Watched players already announced this session
+  watchedSpoken: new Set(),
+  // Mention/keyword hits, oldest first: message id -> archive-style record
+  alertMessages: new Map(),
+  unreadAlerts: new Set(),
+  // Message id last shown by previous/next navigation
+  alertCursor: null,
+  unreadObserver: null,
+  // Rule id -> { windowStart, sent, pending, timer } for rate-limited rules
+  ruleThrottles: new Map(),
+  // "<message id>:<n>" -> trade offer (see parseTradeOffers)
+  tradeOffers: new Map(),
   features: {
     mentions: false,
     highlighting: false,
@@ -71,8 +233,204 @@ const state = {
     markers: false,
     keywords: false,
   },
+  ui: {
+    unreadButton: null,
+    featureButtons: {},
+    companions: {},
+    pinsPanel: null,
+    tradeBoard: null,
+  },
+};
+
+// ============================================================================
+// SETTINGS STORE
+// ============================================================================
+
+/**
+ * Migrations keyed by the version they upgrade from
+ */
+const SETTINGS_MIGRATIONS = {
+  // v1 stored keywords as plain strings matched against item names only
+  1: (settings) => ({
+    ...settings,
+    keywords: (settings.keywords || []).map((term) => ({
+      term: String(term).toLowerCase(),
+      scope: "items",
+      mode: "substring",
+      exclude: [],
+    })),
+  }),
+  // v2 had one keyword list and a fixed mention check; both become rules
+  2: ({ keywords, ...settings }) => ({
+    ...settings,
+    rules: createDefaultRules(keywords || []),
+  }),
 };
 
+/**
+ * Build a fresh copy of the default settings
+ */
+function createDefaultSettings() {
+  return JSON.parse(JSON.stringify(DEFAULT_SETTINGS));
+}
+
+/**
+ * Fill in any fields missing from stored settings with their defaults
+ */
+function withDefaults(settings, defaults = DEFAULT_SETTINGS) {
+  const result = { ...settings };
+  for (const [key, value] of Object.entries(defaults)) {
+    if (!(key in result)) {
+      result[key] = JSON.parse(JSON.stringify(value));
+    } else if (
+      value &&
+      typeof value === "object" &&
+      !Array.isArray(value) &&
+      result[key] &&
+      typeof result[key] === "object"
+    ) {
+      result[key] = withDefaults(result[key], value);
+    }
+  }
+  return result;
+}
+
+/**
+ * Upgrade stored settings to the current version
+ */
+function migrateSettings(settings) {
+  let migrated = { ...settings };
+  let version = Number(migrated.version) || 1;
+
+  while (version < CONFIG.SETTINGS_VERSION) {
+    const migrate = SETTINGS_MIGRATIONS[version];
+    if (migrate) migrated = migrate(migrated);
+    version++;
+    migrated.version = version;
+    console.log("[Chat] Migrated settings to version", version);
+  }
+
+  migrated = withDefaults(migrated);
+  normalizeRules(migrated);
+  return migrated;
+}
+
+/**
+ * Build settings from the pre-settings-store localStorage keys
+ */
+function readLegacySettings() {
+  // Legacy keys hold version 1 data
+  const settings = { ...createDefaultSettings(), version: 1 };
+
+  try {
+    const username = localStorage.getItem(CONFIG.LEGACY_USERNAME_KEY);
+    if (username) settings.username = JSON.parse(username);
+
+    const keywords = localStorage.getItem(CONFIG.LEGACY_KEYWORDS_KEY);
+    if (keywords) settings.keywords = JSON.parse(keywords);
+  } catch (e) {
+    console.error("[Chat] Failed to read legacy settings:", e);
+  }
+
+  return settings;
+}
+
+/**
+ * Account profile index: { legacyAccount, accounts: { slug: { name, lastSeen } } }
+ * where legacyAccount is the account that kept the data saved before
+ * profiles existed, under the plain keys. Read once, then kept in state.
+ */
+function loadProfiles() {
+  if (state.profiles) return state.profiles;
+
+  try {
+    const stored = JSON.parse(localStorage.getItem(CONFIG.PROFILES_KEY));
+    if (stored) {
+      state.profiles = stored;
+      return stored;
+    }
+  } catch (e) {
+    console.error("[Chat] Failed to load profiles:", e);
+  }
+  state.profiles = { legacyAccount: null, accounts: {} };
+  return state.profiles;
+}
+
+function saveProfiles(profiles) {
+  state.profiles = profiles;
+  try {
+    localStorage.setItem(CONFIG.PROFILES_KEY, JSON.stringify(profiles));
+  } catch (e) {
+    console.error("[Chat] Failed to save profiles:", e);
+  }
+}
+
+/**
+ * Storage key (or archive database name) for an account's copy of some data
+ */
+function getStorageKey(baseKey, account = state.account) {
+  if (!account || account === loadProfiles().legacyAccount) return baseKey;
+  return `${baseKey}:${account}`;
+}
+
+/**
+ * Load settings from storage, migrating legacy keys on first run
+ */
+function loadSettings() {
+  const key = getStorageKey(CONFIG.SETTINGS_KEY);
+  try {
+    const stored = localStorage.getItem(key);
+    if (stored) {
+      state.settings = migrateSettings(JSON.parse(stored));
+      saveSettings();
+      console.log("[Chat] Loaded settings:", state.settings);
+      return state.settings;
+    }
+  } catch (e) {
+    console.error("[Chat] Failed to load settings:", e);
+  }
+
+  // A new account profile starts from defaults
+  if (key !== CONFIG.SETTINGS_KEY) {
+    state.settings = createDefaultSettings();
+    saveSettings();
+    console.log("[Chat] Created settings profile:", state.account);
+    return state.settings;
+  }
+
+  state.settings = migrateSettings(readLegacySettings());
+  if (saveSettings()) {
+    localStorage.removeItem(CONFIG.LEGACY_USERNAME_KEY);
+    localStorage.removeItem(CONFIG.LEGACY_KEYWORDS_KEY);
+    console.log("[Chat] Migrated legacy settings:", state.settings);
+  }
+  return state.settings;
+}
+
+/**
+ * Save settings to storage
+ */
+function saveSettings() {
+  try {
+    localStorage.setItem(
+      getStorageKey(CONFIG.SETTINGS_KEY),
+      JSON.stringify(state.settings),
+    );
+    return true;
+  } catch (e) {
+    console.error("[Chat] Failed to save settings:", e);
+    return false;
+  }
+}
+
+/**
+ * Record whether a feature should be restored on the next page load
+ */
+function persistFeature(feature) {
+  state.settings.features[feature] = state.features[feature];
+  saveSettings();
+}
+
 // ============================================================================
 // UTILITY FUNCTIONS
 // ============================================================================
@@ -101,34 +459,26 @@ function normalizeUsername(username) {
  * Get stored username
  */
 function getStoredUsername() {
-  try {
-    const stored = localStorage.getItem(CONFIG.STORAGE_KEY);
-    console.log("[Chat] Retrieved stored username:", stored);
-    return stored ? JSON.parse(stored) : null;
-  } catch (e) {
-    console.error("[Chat] Failed to get username:", e);
-    return null;
-  }
+  return state.settings.username;
 }
 
 /**
  * Save username
  */
 function saveUsername(username) {
-  try {
-    localStorage.setItem(CONFIG.STORAGE_KEY, JSON.stringify(username));
-    console.log("[Chat] Saved username:", username);
-  } catch (e) {
-    console.error("[Chat] Failed to save username:", e);
-  }
+  state.settings.username = username;
+  saveSettings();
+  console.log("[Chat] Saved username:", username);
 }
 
 /**
  * Clear username
  */
 function clearUsername() {
+  state.settings.username = null;
+  saveSettings();
+
   try {
-    localStorage.removeItem(CONFIG.STORAGE_KEY);
     localStorage.removeItem(CONFIG.SEEN_MESSAGES_KEY);
     console.log("[Chat] Cleared username and seen messages");
   } catch (e) {
@@ -153,6 +503,26 @@ async function findChatContainer(maxAttempts = 20, delay = 200) {
   throw new Error("[Chat] Could not find chat container");
 }
 
+/**
+ * Offer text to the user as a file download
+ */
+function downloadFile(filename, content, type) {
+  const link = document.createElement("a");
+  link.href = URL.createObjectURL(new Blob([content], { type }));
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(link.href), 0);
+}
+
+/**
+ * Today's date as YYYY-MM-DD, for file names
+ */
+function getDateStamp() {
+  return new Date().toISOString().slice(0, 10);
+}
+
 /**
  * Request notification permission (Browser notifications fallback)
  */
@@ -170,58 +540,201 @@ async function requestNotificationPermission() {
 /**
  * Show notification
  */
-function showNotification(title, message) {
+function showNotification(title, message, target = null) {
+  // target: archive-style record of the message, opened when clicked
+  const onClick = () => {
+    window.focus();
+    if (target) openNotifiedMessage(target);
+  };
+
   if (typeof GM_notification !== "undefined") {
     GM_notification({
       title: title,
       text: message,
       timeout: 5000,
+      onclick: onClick,
     });
   } else if (Notification.permission === "granted") {
-    new Notification(title, { body: message });
+    const notification = new Notification(title, { body: message });
+    notification.onclick = () => {
+      notification.close();
+      onClick();
+    };
   }
 }
 
 /**
- * Create a fingerprint for a message to detect duplicates
+ * 53-bit string hash (cyrb53), used to keep message ids short
  */
-function getMessageFingerprint(messageElement) {
-  // Use timestamp + text content as fingerprint
-  const timestamp = messageElement.children[0]?.textContent || "";
-  const text =
-    messageElement.children[5]?.textContent ||
-    messageElement.children[5]?.innerText ||
-    "";
-  return `${timestamp}:${text}`.trim();
+function hashString(text, seed = 0) {
+  let h1 = 0xdeadbeef ^ seed;
+  let h2 = 0x41c6ce57 ^ seed;
+  for (let i = 0; i < text.length; i++) {
+    const ch = text.charCodeAt(i);
+    h1 = Math.imul(h1 ^ ch, 2654435761);
+    h2 = Math.imul(h2 ^ ch, 1597334677);
+  }
+  h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507);
+  h1 ^= Math.imul(h2 ^ (h2 >>> 13), 3266489909);
+  h2 = Math.imul(h2 ^ (h2 >>> 16), 2246822507);
+  h2 ^= Math.imul(h1 ^ (h1 >>> 13), 3266489909);
+  return (4294967296 * (2097151 & h2) + (h1 >>> 0)).toString(36);
 }
 
 /**
- * Load keywords from storage
+ * Identity of a message's content: author, time, text and items
  */
-function loadKeywords() {
-  try {
-    const stored = localStorage.getItem(CONFIG.KEYWORDS_STORAGE_KEY);
-    if (stored) {
-      const keywords = JSON.parse(stored);
-      state.keywords = new Set(keywords.map((k) => k.toLowerCase()));
-      console.log("[Chat] Loaded keywords:", Array.from(state.keywords));
+function getMessageContentKey(record) {
+  if (!record.contentKey) {
+    const content = hashString(`${record.text}\u0000${record.items.join("|")}`);
+    record.contentKey = `${record.authorSlug}|${record.timestamp}|${content}`;
+  }
+  return record.contentKey;
+}
+
+// Chat list element -> [{ key, id }] for its lines at the last id
+// assignment, oldest first
+const messageBuffers = new WeakMap();
+// Content key -> occurrences handed out so far this page load
+const messageOccurrences = new Map();
+
+/**
+ * Give ids to the lines of a chat list that don't have one yet.
+ *
+ * The list is a sliding window: old lines drop off one end, new ones arrive
+ * at the other, and the game may re-render it with new elements. Lines that
+ * line up with the end of the previous window keep their ids; the rest get
+ * the next occurrence of their content key. When a list of new elements
+ * lines up with nothing (first run, another channel), identical lines are
+ * numbered oldest first, so ids match the ones saved on earlier visits.
+ */
+function assignMessageIds(list, lines) {
+  const keys = lines.map((line) =>
+    getMessageContentKey(parseChatMessage(line)),
+  );
+  const previous = messageBuffers.get(list) || [];
+
+  const overlaps = (start) =>
+    previous
+      .slice(start, start + keys.length)
+      .every((entry, i) => entry.key === keys[i]);
+  const start = previous.findIndex(
+    (entry, i) => entry.key === keys[0] && overlaps(i),
+  );
+  const kept = start === -1 ? [] : previous.slice(start, start + keys.length);
+  const fresh =
+    start === -1 && lines.every((line) => !parseChatMessage(line).id);
+
+  const counts = new Map();
+  const buffer = lines.map((line, i) => {
+    const key = keys[i];
+    const record = parseChatMessage(line);
+    if (!record.id) {
+      if (i < kept.length) {
+        record.id = kept[i].id;
+      } else if (fresh) {
+        const occurrence = counts.get(key) || 0;
+        counts.set(key, occurrence + 1);
+        record.id = `${key}#${occurrence}`;
+      } else {
+        const occurrence = messageOccurrences.get(key) || 0;
+        record.id = `${key}#${occurrence}`;
+      }
     }
-  } catch (e) {
-    console.error("[Chat] Failed to load keywords:", e);
+
+    const occurrence = Number(record.id.slice(record.id.lastIndexOf("#") + 1));
+    if (occurrence >= (messageOccurrences.get(key) || 0)) {
+      messageOccurrences.set(key, occurrence + 1);
+    }
+    return { key, id: record.id };
+  });
+  messageBuffers.set(list, buffer);
+}
+
+/**
+ * Stable id for a chat message, used for dedupe, pins and read tracking.
+ *
+ * Identical lines (same author, minute and text) are told apart by an
+ * occurrence counter (see assignMessageIds). An id never moves to another
+ * line while the page is open, even as older copies leave the buffer.
+ */
+function getMessageId(messageElement) {
+  const record = parseChatMessage(messageElement);
+  if (record.id) return record.id;
+
+  const list = messageElement.parentElement;
+  if (!list) {
+    record.id = `${getMessageContentKey(record)}#0`;
+    return record.id;
   }
+
+  const lines = Array.from(list.children).filter((child) =>
+    child.classList.contains("chat-txt"),
+  );
+  if (CONFIG.CHAT_NEWEST_FIRST) lines.reverse();
+  assignMessageIds(list, lines);
+  return record.id;
+}
+
+/**
+ * Load keywords from storage
+ */
+function loadKeywords() {
+  const rule = getBuiltinRule(state.settings, "keywords");
+  state.keywords = new Set(rule.conditions.keywords);
+  console.log("[Chat] Loaded keywords:", describeKeywords(state.keywords));
 }
 
 /**
  * Save keywords to storage
  */
 function saveKeywords() {
-  try {
-    const keywords = Array.from(state.keywords);
-    localStorage.setItem(CONFIG.KEYWORDS_STORAGE_KEY, JSON.stringify(keywords));
-    console.log("[Chat] Saved keywords:", keywords);
-  } catch (e) {
-    console.error("[Chat] Failed to save keywords:", e);
+  const rule = getBuiltinRule(state.settings, "keywords");
+  rule.conditions.keywords = Array.from(state.keywords);
+  saveSettings();
+  console.log("[Chat] Saved keywords:", describeKeywords(state.keywords));
+}
+
+/**
+ * Keyword terms for logging
+ */
+function describeKeywords(keywords) {
+  return Array.from(keywords, (k) => k.term);
+}
+
+/**
+ * Escape a string for literal use in a regular expression
+ */
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+// Compiled patterns, keyed by mode and term
+const keywordPatternCache = new Map();
+
+/**
+ * Compile a keyword into a case-insensitive RegExp for its match mode.
+ * Throws for an invalid pattern in regex mode.
+ */
+function getKeywordPattern(keyword) {
+  const cacheKey = `${keyword.mode}:${keyword.term}`;
+  if (keywordPatternCache.has(cacheKey)) {
+    return keywordPatternCache.get(cacheKey);
+  }
+
+  let source;
+  if (keyword.mode === "regex") {
+    source = keyword.term;
+  } else if (keyword.mode === "word") {
+    // \b is ASCII-only, so spell out letter/number boundaries
+    source = `(?<![\\p{L}\\p{N}])${escapeRegExp(keyword.term)}(?![\\p{L}\\p{N}])`;
+  } else {
+    source = escapeRegExp(keyword.term);
   }
+
+  const pattern = new RegExp(source, keyword.mode === "regex" ? "i" : "iu");
+  keywordPatternCache.set(cacheKey, pattern);
+  return pattern;
 }
 
 /**
@@ -229,171 +742,869 @@ function saveKeywords() {
  */
 function extractItems(textContainer) {
   const items = [];
-  const childNodes = textContainer.children;
-  if (childNodes.length === 0) return items;
-
-  for (const element of childNodes) {
-    if (element.matches("a")) {
-      if (element.children.length && element.children[0].matches("img")) {
-        items.push(element.children[0].alt);
-      }
-    }
+  for (const image of textContainer.querySelectorAll("a img[alt]")) {
+    if (image.closest(`.${CONFIG.UI_CLASS}`)) continue;
+    if (image.alt) items.push(image.alt);
   }
   return items;
 }
 
+// ============================================================================
+// MESSAGE PARSER
+// ============================================================================
+
+// Parsed records, so each chat line is only parsed once
+const parsedMessages = new WeakMap();
+
 /**
- * Check if text contains any keywords or items
+ * Whether an element was injected by this script
  */
-function matchesKeywords(textContainer) {
-  if (state.keywords.size === 0) return null;
+function isEnhancerElement(element) {
+  return Boolean(element.closest && element.closest(`.${CONFIG.UI_CLASS}`));
+}
 
-  const items = extractItems(textContainer);
+/**
+ * Text content of an element, skipping anything this script injected
+ */
+function getOwnText(element) {
+  let text = "";
+  const walker = document.createTreeWalker(element, NodeFilter.SHOW_TEXT);
+  while (walker.nextNode()) {
+    const node = walker.currentNode;
+    if (!isEnhancerElement(node.parentElement)) text += node.textContent;
+  }
+  return text.replace(/\s+/g, " ").trim();
+}
 
-  // Check item names
-  for (const item of items) {
-    for (const keyword of state.keywords) {
-      if (item.toLowerCase().includes(keyword)) {
-        return keyword;
-      }
+/**
+ * Like getOwnText, but with item images written back as ((Item Name)) so
+ * the text reads like what the player typed
+ */
+function getItemNotationText(element) {
+  let text = "";
+  const walker = document.createTreeWalker(
+    element,
+    NodeFilter.SHOW_TEXT | NodeFilter.SHOW_ELEMENT,
+  );
+  while (walker.nextNode()) {
+    const node = walker.currentNode;
+    if (node.nodeType === Node.TEXT_NODE) {
+      if (!isEnhancerElement(node.parentElement)) text += node.textContent;
+    } else if (
+      node.matches("a img[alt]") &&
+      node.alt &&
+      !isEnhancerElement(node)
+    ) {
+      text += ` ((${node.alt})) `;
     }
   }
-
-  return null;
+  return text.replace(/\s+/g, " ").trim();
 }
 
-// ============================================================================
-// FEATURE: MENTION WATCHER
-// ============================================================================
+/**
+ * A record's text in ((Item Name)) notation. Records saved before that was
+ * stored get their items appended instead.
+ */
+function getItemNotation(record) {
+  if (record.textWithItems) return record.textWithItems;
+  return [record.text, ...record.items.map((item) => `((${item}))`)]
+    .filter((part) => part)
+    .join(" ");
+}
 
-function checkForMentions(messages) {
-  if (!state.features.mentions || !state.username) return;
+/**
+ * Extract the username slug from a profile link
+ */
+function getProfileSlug(link) {
+  const match = (link.getAttribute("href") || "").match(/user_name=([^&#]+)/);
+  if (!match) return "";
 
-  const username = state.username.toLowerCase();
+  try {
+    return normalizeUsername(decodeURIComponent(match[1]));
+  } catch (e) {
+    return normalizeUsername(match[1]);
+  }
+}
 
-  for (const msg of messages) {
-    // Get message text from child[5]
-    const textContainer = msg.children[5];
-    if (!textContainer) continue;
+/**
+ * Find the message text container: children[5], else the last child that is
+ * not the timestamp, author or injected UI
+ */
+function findTextElement(messageElement, timestampElement, authorElement) {
+  const expected = messageElement.children[5];
+  if (expected && !isEnhancerElement(expected)) return expected;
+
+  const candidates = Array.from(messageElement.children).filter(
+    (child) =>
+      child !== timestampElement &&
+      child !== authorElement &&
+      !child.contains(authorElement) &&
+      !isEnhancerElement(child) &&
+      !child.matches("br") &&
+      getOwnText(child) !== ":",
+  );
+  return candidates[candidates.length - 1] || messageElement;
+}
 
-    const text = textContainer.innerText || textContainer.textContent;
-    if (!text) continue;
+/**
+ * Find the element holding the timestamp: children[0], else the first child
+ * that looks like a time
+ */
+function findTimestampElement(messageElement) {
+  const children = Array.from(messageElement.children);
+  const expected = children[0];
+  if (expected && CONFIG.TIMESTAMP_PATTERN.test(expected.textContent)) {
+    return expected;
+  }
+  return (
+    children.find((child) =>
+      CONFIG.TIMESTAMP_PATTERN.test(getOwnText(child)),
+    ) || null
+  );
+}
 
-    // Check if username is mentioned (case-insensitive)
-    if (!text.toLowerCase().includes(username)) continue;
+/**
+ * Find the author's profile link: inside children[2], else the first profile
+ * link that is a direct part of the line rather than a mention in the text
+ */
+function findAuthorLink(messageElement) {
+  const expected = messageElement.children[2];
+  if (expected) {
+    const link = expected.matches(CONFIG.PROFILE_LINK_SELECTOR)
+      ? expected
+      : expected.querySelector(CONFIG.PROFILE_LINK_SELECTOR);
+    if (link) return link;
+  }
 
-    // Check if we've already seen this message
-    const fingerprint = getMessageFingerprint(msg);
-    if (state.seenMessages.has(fingerprint)) continue;
+  for (const link of messageElement.querySelectorAll(
+    CONFIG.PROFILE_LINK_SELECTOR,
+  )) {
+    // Mentions live inside a text span; the author link sits near the top
+    if (link.parentElement === messageElement) return link;
+    if (link.parentElement.parentElement === messageElement) {
+      const text = getOwnText(link.parentElement);
+      if (text === getOwnText(link)) return link;
+    }
+  }
+  return null;
+}
 
-    // Add to seen messages
-    state.seenMessages.add(fingerprint);
+/**
+ * Collect usernames mentioned in a message: profile links in the text plus
+ * explicit @name tokens
+ */
+function extractMentions(textElement, text) {
+  const mentions = new Set();
+  // Linked "@Ann Lee" is read from its link, not as "@Ann" in the text
+  let plainText = text;
+
+  for (const link of textElement.querySelectorAll(
+    CONFIG.PROFILE_LINK_SELECTOR,
+  )) {
+    const slug = getProfileSlug(link);
+    if (slug) mentions.add(slug);
+    plainText = plainText.replace(getOwnText(link), " ");
+  }
 
-    // Trim seen messages if too large
-    if (state.seenMessages.size > CONFIG.MAX_SEEN_MESSAGES) {
-      const array = Array.from(state.seenMessages);
-      state.seenMessages = new Set(array.slice(-CONFIG.MAX_SEEN_MESSAGES));
-    }
+  // "@name" at the start of a word, so "a@b" doesn't count
+  for (const match of plainText.matchAll(/(?:^|\s)@([^\s@,.!?:;]+)/g)) {
+    mentions.add(normalizeUsername(match[1]));
+  }
 
-    // Get author for notification
-    const author = msg.children[2]?.textContent || "Someone";
+  return Array.from(mentions);
+}
 
-    // Show notification
-    showNotification(
-      "You were mentioned!",
-      `${author}: ${text.substring(0, 100)}`,
-    );
-    console.log("[Chat] Mention detected:", author, text);
+/**
+ * Whether the author is marked as staff (role icon, class or title)
+ */
+function detectStaff(messageElement, authorElement) {
+  const markers = [messageElement.className];
+  if (authorElement) {
+    markers.push(authorElement.className || "");
+    for (const image of authorElement.querySelectorAll("img")) {
+      markers.push(image.alt, image.title);
+    }
   }
+  return CONFIG.STAFF_PATTERN.test(markers.join(" "));
 }
 
-// ============================================================================
-// FEATURE: MESSAGE HIGHLIGHTER
-// ============================================================================
+/**
+ * Parse a chat line into a structured record:
+ * - timestamp: displayed time ("" if none)
+ * - author: display name ("" for system messages)
+ * - authorSlug: normalized name from the profile.php?user_name= link
+ * - text: plain message text, excluding injected UI
+ * - items: ((item)) names found in the text
+ * - mentions: normalized usernames mentioned in the text
+ * - isSystem: no author profile link (game/system message)
+ * - isStaff: author is flagged as staff
+ * - element, authorElement, textElement: DOM references for styling
+ */
+function parseChatMessage(messageElement) {
+  const cached = parsedMessages.get(messageElement);
+  if (cached) return cached;
+
+  const authorLink = findAuthorLink(messageElement);
+  // Style the whole username slot when the link sits in the expected child
+  const expectedAuthor = messageElement.children[2];
+  const authorElement =
+    authorLink && expectedAuthor?.contains(authorLink)
+      ? expectedAuthor
+      : authorLink;
+  const timestampElement = findTimestampElement(messageElement);
+  const textElement = findTextElement(
+    messageElement,
+    timestampElement,
+    authorElement,
+  );
 
-function highlightOwnMessages(messages) {
-  if (!state.features.highlighting || !state.username) return;
+  const text = getOwnText(textElement);
+  const timestampText = timestampElement ? getOwnText(timestampElement) : "";
+
+  const record = {
+    element: messageElement,
+    authorElement,
+    textElement,
+    timestamp: timestampText.match(CONFIG.TIMESTAMP_PATTERN)
+      ? timestampText
+      : "",
+    author: authorLink ? getOwnText(authorLink) : "",
+    authorSlug: authorLink ? getProfileSlug(authorLink) : "",
+    text,
+    textWithItems: getItemNotationText(textElement),
+    items: extractItems(textElement),
+    mentions: extractMentions(textElement, text),
+    isSystem: !authorLink,
+    isStaff: detectStaff(messageElement, authorElement),
+  };
+
+  parsedMessages.set(messageElement, record);
+  return record;
+}
 
-  const normalizedUsername = normalizeUsername(state.username);
+/**
+ * Whether a parsed message was written by the current user
+ */
+function isOwnMessage(record) {
+  return (
+    Boolean(state.username) &&
+    !record.isSystem &&
+    record.authorSlug === normalizeUsername(state.username)
+  );
+}
 
-  for (const msg of messages) {
-    // Find profile link in message
-    const profileLink = msg.querySelector('a[href^="profile.php?user_name="]');
-    if (!profileLink) continue;
+/**
+ * Test one keyword against a message's plain text and item names
+ */
+function keywordMatches(keyword, text, items) {
+  let pattern;
+  try {
+    pattern = getKeywordPattern(keyword);
+  } catch (e) {
+    return false;
+  }
 
-    // Extract username from link
-    const href = profileLink.getAttribute("href");
-    const match = href.match(/user_name=(.+)$/);
-    if (!match) continue;
+  const inItems =
+    keyword.scope !== "text" && items.some((item) => pattern.test(item));
+  const inText = keyword.scope !== "items" && pattern.test(text);
+  if (!inItems && !inText) return false;
 
-    const messageUsername = normalizeUsername(match[1]);
+  // Negative terms veto the match wherever they appear
+  const haystack = [text, ...items].join(" ").toLowerCase();
+  return !(keyword.exclude || []).some((term) => haystack.includes(term));
+}
 
-    // If it's our message, highlight it
-    if (messageUsername === normalizedUsername) {
-      msg.style.border = CONFIG.HIGHLIGHT_BORDER;
-      msg.style.borderRadius = "6px";
-      msg.style.padding = "2px";
+/**
+ * Find every keyword matching a parsed message. Returns the matched terms.
+ */
+function matchesKeywords(record, keywords = state.keywords) {
+  const matched = [];
+  for (const keyword of keywords) {
+    if (keywordMatches(keyword, record.text, record.items)) {
+      matched.push(keyword.term);
     }
   }
+  return matched;
 }
 
 // ============================================================================
-// FEATURE: SESSION SEPARATOR
+// CHANNELS
 // ============================================================================
 
-function checkForSessionChange(messages, mutations) {
-  if (!state.features.separator) return;
+/**
+ * Name of the chat channel on screen, or "" if it cannot be detected
+ */
+function getActiveChannel() {
+  for (const selector of CONFIG.CHANNEL_SELECTORS) {
+    const element = document.querySelector(selector);
+    if (!element) continue;
+
+    const name =
+      element.tagName === "SELECT"
+        ? element.selectedOptions[0]?.textContent
+        : element.textContent;
+    if (name && name.trim()) return name.trim();
+  }
 
-  // Check if chat was cleared (removed nodes)
-  let chatWasCleared = false;
-  for (const mutation of mutations) {
-    if (mutation.removedNodes.length > 0) {
-      chatWasCleared = true;
-      break;
-    }
+  if (!state.channelControlMissing) {
+    state.channelControlMissing = true;
+    console.warn(
+      "[Chat] No chat channel control found; all channels share one read position and channel rules won't match. Tried:",
+      CONFIG.CHANNEL_SELECTORS.join(", "),
+    );
   }
+  return "";
+}
 
-  if (!chatWasCleared) {
-    // Just update last known message
-    if (messages.length > 0) {
-      state.lastKnownMessage = getMessageFingerprint(messages[0]);
+/**
+ * Per-channel tracking state, so switching rooms doesn't look like the chat
+ * was cleared and alerts seen in one room don't suppress another's.
+ * Undetectable channels all share the "" entry.
+ */
+function getChannelState(channel = getActiveChannel()) {
+  const key = channel.toLowerCase();
+  let channelState = state.channels.get(key);
+  if (!channelState) {
+    channelState = {
+      lastReadMessage: loadLastRead()[key] || null,
+      ruleMatches: new Map(),
+    };
+    state.channels.set(key, channelState);
+  }
+  return channelState;
+}
+
+/**
+ * Note a channel switch. Returns true if the channel changed.
+ */
+function updateActiveChannel() {
+  const channel = getActiveChannel();
+  if (channel === state.activeChannel) return false;
+
+  const previous = state.activeChannel;
+  state.activeChannel = channel;
+  if (previous !== null) {
+    console.log("[Chat] Switched channel:", previous, "->", channel);
+    refreshPinsPanel();
+  }
+  return true;
+}
+
+/**
+ * Forget which messages a rule alerted on, in every channel
+ */
+function forgetRuleMatches(ruleId) {
+  for (const channelState of state.channels.values()) {
+    channelState.ruleMatches.delete(ruleId);
+  }
+}
+
+// ============================================================================
+// ACCOUNT DETECTION
+// ============================================================================
+
+/**
+ * Display name for a profile link: its text when that is the same player,
+ * otherwise the decoded user_name parameter
+ */
+function getProfileName(link) {
+  const slug = getProfileSlug(link);
+  const text = sanitizeUsername(link.textContent);
+  if (text && normalizeUsername(text) === slug) return text;
+
+  // Keep the capitalization of the link's user_name
+  const match = (link.getAttribute("href") || "").match(/user_name=([^&#]+)/);
+  if (!match) return "";
+  try {
+    return decodeURIComponent(match[1].replace(/\+/g, " "));
+  } catch (e) {
+    return slug;
+  }
+}
+
+/**
+ * Find the logged-in player's name in the side menu. Returns "" if it can't
+ * be found, or if the menu links to more than one player.
+ */
+function detectUsername() {
+  const names = new Map();
+  for (const container of document.querySelectorAll(
+    CONFIG.SELF_PROFILE_CONTAINER,
+  )) {
+    for (const link of container.querySelectorAll(
+      CONFIG.PROFILE_LINK_SELECTOR,
+    )) {
+      // Skip anything that is really a chat line or our own UI
+      if (link.closest(".chat-txt") || isEnhancerElement(link)) continue;
+      if (CONFIG.CHAT_SELECTORS.some((chat) => link.closest(chat))) continue;
+
+      const name = getProfileName(link);
+      if (name) names.set(normalizeUsername(name), name);
     }
+  }
+  if (names.size !== 1) return "";
+  return names.values().next().value;
+}
+
+/**
+ * Username saved in the settings from before profiles existed, or ""
+ */
+function getLegacyUsername() {
+  try {
+    const stored = JSON.parse(localStorage.getItem(CONFIG.SETTINGS_KEY));
+    return (stored && stored.username) || "";
+  } catch (e) {
+    return "";
+  }
+}
+
+/**
+ * Hand the data saved before profiles existed to an account, replacing the
+ * fresh profile it was given
+ */
+function claimLegacyData(account) {
+  closeArchive();
+  deleteProfile(account);
+  const profiles = loadProfiles();
+  profiles.legacyAccount = account;
+  saveProfiles(profiles);
+  switchAccountProfile();
+}
+
+/**
+ * Load the settings profile of the logged-in account. The first account
+ * seen keeps the data saved before profiles existed when that data names
+ * this player or no one; otherwise the account starts from defaults and a
+ * toast offers the old data.
+ */
+function selectAccountProfile() {
+  const detected = detectUsername();
+  if (!detected) {
+    console.log("[Chat] Account not detected, using shared settings");
     return;
   }
 
-  // Chat was cleared, check if last known message reappeared
-  if (!state.lastKnownMessage) {
-    if (messages.length > 0) {
-      state.lastKnownMessage = getMessageFingerprint(messages[0]);
+  const account = normalizeUsername(detected);
+  const profiles = loadProfiles();
+  let legacyOwner = "";
+  if (!profiles.legacyAccount && !profiles.accounts[account]) {
+    const saved = getLegacyUsername();
+    if (!saved || normalizeUsername(saved) === account) {
+      profiles.legacyAccount = account;
+    } else {
+      legacyOwner = saved;
+    }
+  }
+  profiles.accounts[account] = { name: detected, lastSeen: Date.now() };
+  saveProfiles(profiles);
+
+  state.account = account;
+  state.channels.clear();
+  loadSettings();
+  if (!state.settings.username) {
+    state.settings.username = detected;
+    saveSettings();
+  }
+  console.log("[Chat] Using settings profile:", account);
+
+  if (legacyOwner) {
+    showToast(
+      `Chat settings saved before account profiles belong to "${legacyOwner}"`,
+      `Use for ${detected}`,
+      () => claimLegacyData(account),
+      15000,
+    );
+  }
+}
+
+/**
+ * Replace this account's settings with a copy of another account's,
+ * keeping our own username
+ */
+function copyProfileSettings(fromAccount) {
+  const stored = localStorage.getItem(
+    getStorageKey(CONFIG.SETTINGS_KEY, fromAccount),
+  );
+  if (!stored) return false;
+
+  const draft = migrateSettings(JSON.parse(stored));
+  draft.username = state.settings.username;
+  applySettings(draft);
+  console.log("[Chat] Copied settings from profile:", fromAccount);
+  return true;
+}
+
+/**
+ * Remove another account's settings, pins and history
+ */
+function deleteProfile(account) {
+  for (const key of [
+    CONFIG.SETTINGS_KEY,
+    CONFIG.PINS_KEY,
+    CONFIG.LAST_READ_KEY,
+  ]) {
+    localStorage.removeItem(getStorageKey(key, account));
+  }
+  indexedDB.deleteDatabase(getStorageKey(CONFIG.ARCHIVE_DB_NAME, account));
+
+  const profiles = loadProfiles();
+  delete profiles.accounts[account];
+  if (profiles.legacyAccount === account) profiles.legacyAccount = null;
+  saveProfiles(profiles);
+  console.log("[Chat] Deleted profile:", account);
+}
+
+/**
+ * Offer the detected name when a feature needs a username. Returns true if
+ * the player accepted it.
+ */
+function useDetectedUsername() {
+  const detected = detectUsername();
+  if (!detected) return false;
+  if (!confirm(`Use "${detected}" as your FarmRPG username?`)) return false;
+
+  setUsername(detected);
+  return true;
+}
+
+/**
+ * Switch to a different username, re-applying name-based styling
+ */
+function setUsername(username) {
+  state.username = username;
+  saveUsername(username);
+
+  // Re-highlight under the new name
+  if (state.features.highlighting) {
+    stopHighlighter();
+    startHighlighter();
+  }
+  refreshAlertHighlights();
+}
+
+/**
+ * Stop everything running for the loaded profile, then load the profile of
+ * the account now logged in and start its saved features
+ */
+function switchAccountProfile() {
+  stopMentionWatcher();
+  stopHighlighter();
+  stopSeparator();
+  stopMarkers();
+  stopKeywordWatcher();
+  stopObserver();
+  closeArchive();
+
+  // Hits, pins and digests belong to the old profile
+  for (const throttle of state.ruleThrottles.values()) {
+    if (throttle.timer) clearTimeout(throttle.timer);
+  }
+  state.ruleThrottles.clear();
+  state.markedMessages.clear();
+  state.clearedPins = null;
+  state.alertMessages.clear();
+  state.unreadAlerts.clear();
+  state.alertCursor = null;
+  state.watchedSpoken.clear();
+  state.usernameWarning = null;
+  state.pendingAccount = null;
+  state.offeredAccount = null;
+
+  selectAccountProfile();
+  restoreFeatures();
+  refreshIgnoredMessages();
+  refreshWatchedMessages();
+  refreshAlertHighlights();
+  refreshPriceTags();
+  refreshTradeBoard();
+  refreshPinsPanel();
+  updateUnreadIndicators();
+  syncAllFeatureButtons();
+}
+
+/**
+ * Follow the logged-in account: offer to load its profile once another
+ * account has been on the page for two checks in a row, or warn when the
+ * page shows a different player than the saved username
+ */
+function checkAccountSwitch() {
+  const detected = detectUsername();
+  if (!detected) return;
+
+  const account = normalizeUsername(detected);
+  if (account !== state.account) {
+    // One read could catch the page mid-update
+    if (state.pendingAccount !== account) {
+      state.pendingAccount = account;
+      return;
     }
+    if (state.offeredAccount === account) return;
+
+    state.offeredAccount = account;
+    console.log("[Chat] Account switch detected:", state.account, account);
+    showToast(
+      `Logged in as ${detected}. Switch chat profile to ${detected}?`,
+      "Switch",
+      () => switchAccountProfile(),
+      15000,
+    );
     return;
   }
+  state.pendingAccount = null;
+  state.offeredAccount = null;
+
+  if (!state.username || state.usernameWarning === detected) return;
+  if (account === normalizeUsername(state.username)) return;
+
+  state.usernameWarning = detected;
+  console.log("[Chat] Username mismatch:", state.username, detected);
+  showToast(
+    `Logged in as ${detected}, but chat settings use ${state.username}`,
+    `Use ${detected}`,
+    () => setUsername(detected),
+    15000,
+  );
+}
+
+// ============================================================================
+// FEATURE: MENTION WATCHER
+// ============================================================================
+
+// Compiled mention patterns, keyed by normalized name
+const mentionPatternCache = new Map();
+
+/**
+ * Whole-word pattern for a normalized name, accepting "+" or space between
+ * words. Group 1 captures a leading "@".
+ */
+function getMentionPattern(name) {
+  if (mentionPatternCache.has(name)) return mentionPatternCache.get(name);
+
+  const source = escapeRegExp(name).replace(/ /g, "[ +]");
+  const pattern = new RegExp(
+    `(?<![\\p{L}\\p{N}])(@?)${source}(?![\\p{L}\\p{N}])`,
+    "giu",
+  );
+  mentionPatternCache.set(name, pattern);
+  return pattern;
+}
+
+/**
+ * Your username and aliases, normalized
+ */
+function getMentionNames() {
+  if (!state.username) return [];
+  return [state.username, ...state.settings.mentions.aliases]
+    .map(normalizeUsername)
+    .filter((name) => name);
+}
+
+/**
+ * How a message mentions you: "explicit" (@name or a profile link),
+ * "name" (the bare name as a whole word), or null. Your own messages
+ * never count.
+ */
+function getMentionType(record) {
+  if (!record.text || isOwnMessage(record)) return null;
+
+  const names = getMentionNames();
+  let type = null;
+
+  for (const name of names) {
+    if (record.mentions.includes(name)) return "explicit";
+
+    for (const match of record.text.matchAll(getMentionPattern(name))) {
+      if (match[1]) return "explicit";
+      type = "name";
+    }
+  }
+  return type;
+}
+
+/**
+ * Whether a parsed or archived message mentions the current user
+ */
+function mentionsUser(record) {
+  return getMentionType(record) !== null;
+}
+
+// ============================================================================
+// FEATURE: MESSAGE HIGHLIGHTER
+// ============================================================================
+
+function highlightOwnMessages(messages) {
+  if (!state.features.highlighting || !state.username) return;
 
-  // Find the last known message in the new messages
   for (const msg of messages) {
-    const fingerprint = getMessageFingerprint(msg);
-    if (fingerprint === state.lastKnownMessage) {
-      insertSeparator(msg);
+    // If it's our message, highlight it
+    if (isOwnMessage(parseChatMessage(msg))) {
+      msg.style.border = CONFIG.HIGHLIGHT_BORDER;
+      msg.style.borderRadius = "6px";
+      msg.style.padding = "2px";
+    }
+  }
+}
+
+// ============================================================================
+// FEATURE: SESSION SEPARATOR
+// ============================================================================
+
+function loadLastRead() {
+  try {
+    const key = getStorageKey(CONFIG.LAST_READ_KEY);
+    return JSON.parse(localStorage.getItem(key)) || {};
+  } catch (e) {
+    console.error("[Chat] Failed to load last-read messages:", e);
+    return {};
+  }
+}
+
+function saveLastRead() {
+  try {
+    // Keep channels not visited this session
+    const lastRead = loadLastRead();
+    for (const [key, channelState] of state.channels) {
+      if (channelState.lastReadMessage) {
+        lastRead[key] = channelState.lastReadMessage;
+      }
+    }
+    localStorage.setItem(
+      getStorageKey(CONFIG.LAST_READ_KEY),
+      JSON.stringify(lastRead),
+    );
+  } catch (e) {
+    console.error("[Chat] Failed to save last-read messages:", e);
+  }
+}
+
+/**
+ * The newest chat line on screen
+ */
+function getNewestMessage() {
+  const messages = document.querySelectorAll(".chat-txt");
+  return CONFIG.CHAT_NEWEST_FIRST ? messages[0] : messages[messages.length - 1];
+}
+
+/**
+ * Record the newest line on screen as read in the current channel
+ */
+function updateLastRead() {
+  const newest = getNewestMessage();
+  if (!newest) return;
+
+  const channelState = getChannelState();
+  const messageId = getMessageId(newest);
+  if (channelState.lastReadMessage === messageId) return;
+
+  channelState.lastReadMessage = messageId;
+  saveLastRead();
+}
+
+/**
+ * Move the "New Messages" line to just past the last-read message, if
+ * anything newer has arrived since. When the last-read message has already
+ * left the chat buffer, every line on screen is new: the line goes past the
+ * oldest one and says that some new messages are no longer shown.
+ */
+function showReadSeparator() {
+  if (!state.features.separator) return;
+
+  const { lastReadMessage } = getChannelState();
+  if (!lastReadMessage) return;
+
+  const newest = getNewestMessage();
+  if (!newest) return;
+
+  const lastRead = findMessageElement(lastReadMessage);
+  if (lastRead === newest) return;
+
+  removeSeparators();
+  if (!lastRead) {
+    const messages = newest.parentElement.querySelectorAll(".chat-txt");
+    const oldest = CONFIG.CHAT_NEWEST_FIRST
+      ? messages[messages.length - 1]
+      : messages[0];
+    insertSeparator(
+      CONFIG.CHAT_NEWEST_FIRST ? oldest.nextElementSibling : oldest,
+      oldest.parentElement,
+      "─── New Messages (older ones are no longer shown) ───",
+    );
+  } else if (CONFIG.CHAT_NEWEST_FIRST) {
+    insertSeparator(lastRead, lastRead.parentElement);
+  } else {
+    insertSeparator(lastRead.nextElementSibling, lastRead.parentElement);
+  }
+}
+
+function checkForSessionChange(messages, mutations) {
+  // Check if chat was cleared (removed nodes), e.g. a reload of the chat
+  // or a channel switch. Last-read is tracked per channel, so a room switch
+  // compares against where we left that room rather than the previous one.
+  let chatWasCleared = false;
+  for (const mutation of mutations) {
+    if (mutation.removedNodes.length > 0) {
+      chatWasCleared = true;
       break;
     }
   }
 
-  // Update last known message
-  if (messages.length > 0) {
-    state.lastKnownMessage = getMessageFingerprint(messages[0]);
+  // The first lines of a chat that started empty are the initial load: place
+  // the separator before they count as read
+  if (chatWasCleared || !state.chatLoaded) showReadSeparator();
+  state.chatLoaded = true;
+
+  // Lines arriving in a background tab stay unread until we come back
+  if (document.visibilityState === "visible") updateLastRead();
+}
+
+/**
+ * Place the separator after returning to the tab, and record what was
+ * seen before leaving it
+ */
+function handleVisibilityChange() {
+  if (document.visibilityState === "visible") showReadSeparator();
+  updateLastRead();
+}
+
+function removeSeparators() {
+  document.querySelectorAll(".chat-separator").forEach((sep) => sep.remove());
+}
+
+/**
+ * Treat everything on screen as read: drop the separator, move the
+ * last-read marker to the newest line and clear the unread counter
+ */
+function markAllRead() {
+  removeSeparators();
+  updateLastRead();
+
+  for (const messageId of state.unreadAlerts) {
+    const messageElement = findMessageElement(messageId);
+    if (messageElement) state.unreadObserver?.unobserve(messageElement);
   }
+  state.unreadAlerts.clear();
+  updateUnreadIndicators();
+
+  showToast("Marked all messages as read", null, null, 2000);
+  console.log("[Chat] Marked all read");
 }
 
-function insertSeparator(beforeMessage) {
+/**
+ * Add the separator to a chat list before beforeMessage, or at the end of
+ * the list when that is null
+ */
+function insertSeparator(beforeMessage, list, label = "─── New Messages ───") {
   // Check if separator already exists
-  const prevElement = beforeMessage.previousElementSibling;
+  const prevElement = beforeMessage
+    ? beforeMessage.previousElementSibling
+    : list.lastElementChild;
   if (prevElement && prevElement.classList.contains("chat-separator")) {
     return;
   }
 
   const separator = document.createElement("div");
   separator.className = "chat-separator";
-  separator.textContent = "─── New Messages ───";
+  separator.textContent = label;
   separator.style.cssText = `
     text-align: center;
     margin: 12px 0;
@@ -404,7 +1615,7 @@ function insertSeparator(beforeMessage) {
     padding: 4px 0;
   `;
 
-  beforeMessage.parentElement.insertBefore(separator, beforeMessage);
+  list.insertBefore(separator, beforeMessage);
   console.log("[Chat] Session separator inserted");
 }
 
@@ -412,12 +1623,66 @@ function insertSeparator(beforeMessage) {
 //! FEATURE: ATTENTION MARKERS
 // ============================================================================
 
+/**
+ * Capture what a pinned message said, so it outlives the chat buffer
+ */
+function createPinSnapshot(messageElement, note = "") {
+  const record = parseChatMessage(messageElement);
+  return {
+    id: getMessageId(messageElement),
+    author: record.author,
+    authorSlug: record.authorSlug,
+    timestamp: record.timestamp,
+    text: record.text,
+    textWithItems: record.textWithItems,
+    items: record.items,
+    channel: getActiveChannel(),
+    note,
+    pinnedAt: Date.now(),
+  };
+}
+
+/**
+ * Load persisted pins (only in persistent mode)
+ */
+function loadPins() {
+  if (!state.settings.pins.persistent) return;
+
+  try {
+    const stored = localStorage.getItem(getStorageKey(CONFIG.PINS_KEY));
+    const pins = stored ? JSON.parse(stored) : [];
+    state.markedMessages = new Map(pins.map((pin) => [pin.id, pin]));
+    console.log("[Chat] Loaded pins:", state.markedMessages.size);
+  } catch (e) {
+    console.error("[Chat] Failed to load pins:", e);
+  }
+}
+
+/**
+ * Save pins in persistent mode, or drop any stored copy otherwise
+ */
+function savePins() {
+  try {
+    if (state.settings.pins.persistent) {
+      const pins = Array.from(state.markedMessages.values());
+      localStorage.setItem(
+        getStorageKey(CONFIG.PINS_KEY),
+        JSON.stringify(pins),
+      );
+    } else {
+      localStorage.removeItem(getStorageKey(CONFIG.PINS_KEY));
+    }
+  } catch (e) {
+    console.error("[Chat] Failed to save pins:", e);
+  }
+}
+
 /**
  * Create a marker button for a message
  */
 function createMarkerButton(messageElement) {
   const button = document.createElement("button");
-  button.className = "chat-marker-btn";
+  button.className = `chat-marker-btn ${CONFIG.UI_CLASS}`;
   button.textContent = CONFIG.MARKER_ICON;
   button.title = "Mark for later";
 
@@ -444,9 +1709,7 @@ function createMarkerButton(messageElement) {
   });
 
   button.addEventListener("mouseleave", () => {
-    const isMarked = state.markedMessages.has(
-      getMessageFingerprint(messageElement),
-    );
+    const isMarked = state.markedMessages.has(getMessageId(messageElement));
     button.style.opacity = isMarked ? "1" : "0.6";
     button.style.transform = "scale(1)";
   });
@@ -464,21 +1727,24 @@ function createMarkerButton(messageElement) {
  * Toggle marker on a message
  */
 function toggleMessageMarker(messageElement, button) {
-  const fingerprint = getMessageFingerprint(messageElement);
+  const messageId = getMessageId(messageElement);
 
-  if (state.markedMessages.has(fingerprint)) {
+  if (state.markedMessages.has(messageId)) {
     // Unmark
-    state.markedMessages.delete(fingerprint);
+    state.markedMessages.delete(messageId);
     removeMarkerStyle(messageElement);
     button.style.opacity = "0.6";
-    console.log("[Chat] Message unmarked:", fingerprint);
+    console.log("[Chat] Message unmarked:", messageId);
   } else {
     // Mark
-    state.markedMessages.add(fingerprint);
+    state.markedMessages.set(messageId, createPinSnapshot(messageElement));
     applyMarkerStyle(messageElement);
     button.style.opacity = "1";
-    console.log("[Chat] Message marked:", fingerprint);
+    console.log("[Chat] Message marked:", messageId);
   }
+
+  savePins();
+  refreshPinsPanel();
 }
 
 /**
@@ -500,23 +1766,20 @@ function removeMarkerStyle(messageElement) {
   messageElement.classList.remove("chat-marked");
   messageElement.style.backgroundColor = "";
 
-  // Check if message has other highlighting (own message)
-  const profileLink = messageElement.querySelector(
-    'a[href^="profile.php?user_name="]',
-  );
-  if (profileLink && state.features.highlighting && state.username) {
-    const href = profileLink.getAttribute("href");
-    const match = href.match(/user_name=(.+)$/);
-    if (
-      match &&
-      normalizeUsername(match[1]) === normalizeUsername(state.username)
-    ) {
-      // Keep own message highlighting
-      messageElement.style.border = CONFIG.HIGHLIGHT_BORDER;
-      messageElement.style.borderRadius = "6px";
-      messageElement.style.padding = "2px";
-      return;
-    }
+  // Check if message has other highlighting (own or watched player)
+  const record = parseChatMessage(messageElement);
+  if (state.features.highlighting && isOwnMessage(record)) {
+    // Keep own message highlighting
+    messageElement.style.border = CONFIG.HIGHLIGHT_BORDER;
+    messageElement.style.borderRadius = "6px";
+    messageElement.style.padding = "2px";
+    return;
+  }
+
+  const watched = getWatchedEntry(record);
+  if (watched) {
+    applyWatchedStyle(messageElement, watched);
+    return;
   }
 
   // Remove all styling if not own message
@@ -543,8 +1806,8 @@ function addMarkerButtons(messages) {
     msg.appendChild(button);
 
     // If message was previously marked, restore its style
-    const fingerprint = getMessageFingerprint(msg);
-    if (state.markedMessages.has(fingerprint)) {
+    const messageId = getMessageId(msg);
+    if (state.markedMessages.has(messageId)) {
       applyMarkerStyle(msg);
       button.style.opacity = "1";
     }
@@ -564,71 +1827,439 @@ function removeAllMarkerButtons() {
 }
 
 // ============================================================================
-// FEATURE: KEYWORD WATCHER
+// ALERT RULES
 // ============================================================================
 
-function checkForKeywords(messages) {
-  if (!state.features.keywords || state.keywords.size === 0) return;
-
-  for (const msg of messages) {
-    // Get message text
-    const textContainer = msg.children[5];
-    if (!textContainer) continue;
-
-    // Check for keyword match
-    const matchedKeyword = matchesKeywords(textContainer);
-    if (!matchedKeyword) continue;
-
-    // Check if already notified
-    const fingerprint = getMessageFingerprint(msg);
-    if (state.keywordMatches.has(fingerprint)) {
-      applyKeywordHighlight(msg, matchedKeyword);
-      continue;
-    }
-
-    // Record match
-    state.keywordMatches.add(fingerprint);
-
-    // Trim if too large
-    if (state.keywordMatches.size > CONFIG.MAX_SEEN_MESSAGES) {
-      const array = Array.from(state.keywordMatches);
-      state.keywordMatches = new Set(array.slice(-CONFIG.MAX_SEEN_MESSAGES));
-    }
-
-    // Get author
-    const author = msg.children[2]?.textContent || "Someone";
+/**
+ * Create an empty custom rule. Conditions that are blank/false are ignored;
+ * the rest must all match.
+ */
+function createRule(overrides = {}) {
+  return {
+    id: `rule-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`,
+    name: "New rule",
+    enabled: true,
+    ...overrides,
+    conditions: {
+      // Comma-separated player names
+      author: "",
+      mentionsMe: false,
+      // Comma-separated ((item)) names (partial names match)
+      item: "",
+      // Someone sells what the wishlist buys, or buys what it sells
+      wishlist: false,
+      // Keyword entries as used by the keyword list; any one may match
+      keywords: [],
+      // Comma-separated channel names
+      channel: "",
+      // Local "HH:MM" window; may wrap past midnight
+      timeFrom: "",
+      timeTo: "",
+      ...overrides.conditions,
+    },
+    actions: {
+      notify: true,
+      // Highlight color, "" for none
+      color: "",
+      // Badge text; "{keywords}" and "{items}" are replaced by the matched
+      // keywords and wishlist items
+      badge: "",
+      sound: false,
+      // Tone name from SOUND_TONES
+      tone: "keyword",
+      pin: false,
+      // Notifications per ALERT_RATE_WINDOW before the rest are grouped
+      // into a digest; 0 for no limit
+      rateLimit: 0,
+      // Still notify during quiet hours
+      bypassQuietHours: false,
+      ...overrides.actions,
+    },
+  };
+}
 
-    console.log("message", msg);
-    console.log("Matched keyword:", matchedKeyword);
-    // Apply visual highlight
-    applyKeywordHighlight(msg, matchedKeyword);
+/**
+ * Built-in rules reproducing the original mention and keyword watchers
+ */
+function createDefaultRules(keywords = []) {
+  return [
+    createRule({
+      id: "mentions",
+      builtin: "mentions",
+      name: "Mentions",
+      conditions: { mentionsMe: true },
+      actions: { sound: true, tone: "mention" },
+    }),
+    createRule({
+      id: "keywords",
+      builtin: "keywords",
+      name: "Keywords",
+      conditions: { keywords },
+      actions: {
+        color: CONFIG.KEYWORD_HIGHLIGHT_COLOR,
+        badge: "🔔 {keywords}",
+        sound: true,
+        rateLimit: 3,
+      },
+    }),
+    createRule({
+      id: "wishlist",
+      builtin: "wishlist",
+      name: "Wishlist",
+      conditions: { wishlist: true },
+      actions: {
+        color: CONFIG.WISHLIST_HIGHLIGHT_COLOR,
+        badge: "🛒 {items}",
+        sound: true,
+        tone: "watched",
+      },
+    }),
+  ];
+}
 
-    // Show notification
-    showNotification(`Keyword Alert: "${matchedKeyword}"`, `${author}`);
+/**
+ * Fill in rule fields added since the rules were saved, and restore any
+ * built-in rule missing from settings (e.g. a hand-edited store)
+ */
+function normalizeRules(settings) {
+  const defaults = createDefaultRules();
+  settings.rules = settings.rules.map((rule) =>
+    withDefaults(
+      rule,
+      defaults.find((d) => rule.builtin && d.builtin === rule.builtin) ||
+        createRule(),
+    ),
+  );
 
-    console.log("[Chat] Keyword match:", matchedKeyword);
+  for (const rule of defaults) {
+    if (!getBuiltinRule(settings, rule.builtin)) settings.rules.push(rule);
   }
 }
 
+function getBuiltinRule(settings, builtin) {
+  return settings.rules.find((rule) => rule.builtin === builtin);
+}
+
 /**
- * Apply keyword highlight styling
+ * Built-in rules with a sidebar toggle follow it; other rules their own flag
  */
-function applyKeywordHighlight(messageElement, keyword) {
+function isRuleActive(rule) {
+  return rule.builtin in FEATURE_CONTROLS
+    ? state.features[rule.builtin]
+    : rule.enabled;
+}
+
+/**
+ * Split a comma-separated condition into normalized values
+ */
+function splitConditionList(value) {
+  return value
+    .split(",")
+    .map((part) => normalizeUsername(part))
+    .filter((part) => part);
+}
+
+/**
+ * Whether a value is an "HH:MM" time of day
+ */
+function isValidTime(value) {
+  return /^([01]?\d|2[0-3]):[0-5]\d$/.test(value);
+}
+
+/**
+ * Whether a time falls inside an "HH:MM" window (wrapping past midnight)
+ */
+function isWithinTimeWindow(date, from, to) {
+  const toMinutes = (value) => {
+    const [hours, minutes] = value.split(":").map(Number);
+    return hours * 60 + minutes;
+  };
+  const now = date.getHours() * 60 + date.getMinutes();
+  const start = toMinutes(from);
+  const end = toMinutes(to);
+
+  return start <= end ? now >= start && now < end : now >= start || now < end;
+}
+
+/**
+ * Test a rule against a message. Returns null, or the match details
+ * ({ keywords, mention, wishlist }) used for badges, priority and
+ * notification text.
+ * context: { channel, date }
+ */
+function evaluateRule(rule, record, context) {
+  const { conditions } = rule;
+  let hasCondition = false;
+  let keywords = [];
+  let mention = null;
+  let wishlist = [];
+
+  if (conditions.author) {
+    hasCondition = true;
+    const authors = splitConditionList(conditions.author);
+    if (!authors.includes(record.authorSlug)) return null;
+  }
+
+  if (conditions.mentionsMe) {
+    hasCondition = true;
+    mention = getMentionType(record);
+    if (!mention) return null;
+  }
+
+  if (conditions.item) {
+    hasCondition = true;
+    const wanted = splitConditionList(conditions.item.replace(/[()]/g, ""));
+    const items = record.items.map((item) => item.toLowerCase());
+    if (!wanted.some((name) => items.some((item) => item.includes(name)))) {
+      return null;
+    }
+  }
+
+  if (conditions.keywords.length > 0) {
+    hasCondition = true;
+    keywords = matchesKeywords(record, conditions.keywords);
+    if (keywords.length === 0) return null;
+  }
+
+  if (conditions.wishlist) {
+    hasCondition = true;
+    wishlist = getWishlistMatches(record);
+    if (wishlist.length === 0) return null;
+  }
+
+  if (conditions.channel) {
+    hasCondition = true;
+    const channels = splitConditionList(conditions.channel);
+    if (!channels.includes(normalizeUsername(context.channel))) return null;
+  }
+
+  if (conditions.timeFrom && conditions.timeTo) {
+    hasCondition = true;
+    if (
+      !isWithinTimeWindow(context.date, conditions.timeFrom, conditions.timeTo)
+    ) {
+      return null;
+    }
+  }
+
+  // A rule without conditions would fire on everything
+  return hasCondition ? { keywords, mention, wishlist } : null;
+}
+
+/**
+ * Every active rule matching a message, in rule order
+ */
+function getRuleMatches(record, context) {
+  if (record.isSystem && !record.text) return [];
+
+  const matches = [];
+  for (const rule of state.settings.rules) {
+    if (!isRuleActive(rule)) continue;
+    const match = evaluateRule(rule, record, context);
+    if (match) matches.push({ rule, ...match });
+  }
+  return matches;
+}
+
+/**
+ * Badge text for a rule match
+ */
+function formatRuleBadge(match) {
+  return match.rule.actions.badge
+    .replace("{keywords}", match.keywords.join(", "))
+    .replace("{items}", match.wishlist.map((hit) => hit.offer.item).join(", "));
+}
+
+/**
+ * Notification title and body for a rule match
+ */
+function describeRuleAlert(match, record) {
+  const author = record.author || "Someone";
+
+  if (match.rule.builtin === "mentions") {
+    return {
+      title: "You were mentioned!",
+      body: `${author}: ${record.text.substring(0, 100)}`,
+    };
+  }
+
+  if (match.rule.builtin === "keywords") {
+    const terms = match.keywords.map((k) => `"${k}"`).join(", ");
+    return { title: `Keyword Alert: ${terms}`, body: author };
+  }
+
+  if (match.rule.builtin === "wishlist") {
+    const [{ entry, offer }] = match.wishlist;
+    return {
+      title: `Wishlist: ${author} is ${offer.side === "sell" ? "selling" : "buying"} ${offer.item}`,
+      body: describeWishlistHit(entry, offer),
+    };
+  }
+
+  return {
+    title: `Alert: ${match.rule.name}`,
+    body: `${author}: ${record.text.substring(0, 100)}`,
+  };
+}
+
+/**
+ * Record that a rule alerted on a message. Returns false if it already had.
+ */
+function markRuleAlerted(ruleId, messageId) {
+  const { ruleMatches } = getChannelState();
+  let alerted = ruleMatches.get(ruleId);
+  if (!alerted) {
+    alerted = new Set();
+    ruleMatches.set(ruleId, alerted);
+  }
+  if (alerted.has(messageId)) return false;
+
+  alerted.add(messageId);
+
+  // Trim if too large
+  if (alerted.size > CONFIG.MAX_SEEN_MESSAGES) {
+    const array = Array.from(alerted);
+    ruleMatches.set(ruleId, new Set(array.slice(-CONFIG.MAX_SEEN_MESSAGES)));
+  }
+  return true;
+}
+
+/**
+ * Whether the do-not-disturb schedule is in effect
+ */
+function isQuietHours(date = new Date()) {
+  const { enabled, from, to } = state.settings.quietHours;
+  return enabled && isWithinTimeWindow(date, from, to);
+}
+
+/**
+ * Notify about a rule match, or queue it for a digest once the rule has
+ * used up its rate limit for the current window
+ */
+function deliverRuleAlert(match, messageElement) {
+  const { rule } = match;
+  const record = parseChatMessage(messageElement);
+  const target = createArchiveRecord(messageElement);
+
+  if (!rule.actions.rateLimit || match.urgent) {
+    const { title, body } = describeRuleAlert(match, record);
+    showNotification(title, body, target);
+    return;
+  }
+
+  const now = Date.now();
+  let throttle = state.ruleThrottles.get(rule.id);
+  if (!throttle || now - throttle.windowStart >= CONFIG.ALERT_RATE_WINDOW) {
+    // The old window's digest may still be waiting on a delayed timer
+    if (throttle) flushRuleDigest(rule.id, throttle);
+    throttle = { windowStart: now, sent: 0, pending: [], timer: null };
+    state.ruleThrottles.set(rule.id, throttle);
+  }
+
+  if (throttle.sent < rule.actions.rateLimit) {
+    throttle.sent++;
+    const { title, body } = describeRuleAlert(match, record);
+    showNotification(title, body, target);
+    return;
+  }
+
+  throttle.pending.push({ match, target, author: record.author || "Someone" });
+  if (!throttle.timer) {
+    throttle.timer = setTimeout(
+      () => flushRuleDigest(rule.id, throttle),
+      throttle.windowStart + CONFIG.ALERT_RATE_WINDOW - now,
+    );
+  }
+}
+
+/**
+ * Send one notification summarizing the matches a rate window held back.
+ * throttle is that window's entry; a newer window for the rule is left alone.
+ */
+function flushRuleDigest(ruleId, throttle) {
+  if (state.ruleThrottles.get(ruleId) === throttle) {
+    state.ruleThrottles.delete(ruleId);
+  }
+  if (throttle.timer) clearTimeout(throttle.timer);
+  throttle.timer = null;
+
+  const { pending } = throttle;
+  throttle.pending = [];
+  if (pending.length === 0) return;
+
+  const { rule } = pending[0].match;
+  // Quiet hours may have started while the matches waited
+  if (isQuietHours() && !rule.actions.bypassQuietHours) {
+    console.log("[Chat] Dropped digest during quiet hours:", rule.name);
+    return;
+  }
+  const count = pending.length;
+  let title;
+
+  if (rule.builtin === "mentions") {
+    title = `${count} more mentions in the last minute`;
+  } else if (rule.builtin === "keywords") {
+    const terms = new Set(pending.flatMap((entry) => entry.match.keywords));
+    title = `${count} keyword matches for ${Array.from(terms).join(", ")} in the last minute`;
+  } else {
+    title = `${count} matches for ${rule.name} in the last minute`;
+  }
+
+  const authors = Array.from(new Set(pending.map((entry) => entry.author)));
+  const body =
+    authors.length > 5
+      ? `${authors.slice(0, 5).join(", ")} and ${authors.length - 5} more`
+      : authors.join(", ");
+
+  // Clicking a digest opens the latest message in it
+  showNotification(title, body, pending[pending.length - 1].target);
+  console.log("[Chat] Sent digest:", rule.name, count);
+}
+
+/**
+ * Convert "#rrggbb" to an rgba() string
+ */
+function hexToRgba(hex, alpha) {
+  const value = parseInt(hex.slice(1), 16);
+  return `rgba(${(value >> 16) & 255}, ${(value >> 8) & 255}, ${value & 255}, ${alpha})`;
+}
+
+/**
+ * Apply alert highlight styling, with a badge for each matching rule
+ */
+function applyAlertHighlight(messageElement, matches) {
+  highlightWishlistItems(messageElement, matches);
+
   // Don't override pin styling if present
   if (messageElement.classList.contains("chat-marked")) return;
 
-  messageElement.classList.add("chat-keyword-match");
-  messageElement.style.borderLeft = `4px solid ${CONFIG.KEYWORD_HIGHLIGHT_COLOR}`;
-  messageElement.style.backgroundColor = CONFIG.KEYWORD_HIGHLIGHT_BG;
-  messageElement.style.paddingLeft = "8px";
+  const colored = matches.find((match) => match.rule.actions.color);
+  const badges = matches
+    .filter((match) => match.rule.actions.badge)
+    .map(formatRuleBadge);
+  if (!colored && badges.length === 0) return;
+
+  const color = colored
+    ? colored.rule.actions.color
+    : CONFIG.KEYWORD_HIGHLIGHT_COLOR;
+
+  messageElement.classList.add("chat-alert-match");
+  if (colored) {
+    messageElement.style.borderLeft = `4px solid ${color}`;
+    messageElement.style.backgroundColor = hexToRgba(color, 0.15);
+    messageElement.style.paddingLeft = "8px";
+  }
+
+  // Replace any badge from an earlier pass
+  messageElement.querySelector(".chat-alert-badge")?.remove();
+  if (badges.length === 0) return;
 
-  // Add small badge
   const badge = document.createElement("span");
-  badge.className = "keyword-badge";
-  badge.textContent = `🔔 ${keyword}`;
+  badge.className = `chat-alert-badge ${CONFIG.UI_CLASS}`;
+  badge.textContent = badges.join(" · ");
   badge.style.cssText = `
     display: inline-block;
-    background: ${CONFIG.KEYWORD_HIGHLIGHT_COLOR};
+    background: ${color};
     color: white;
     font-size: 10px;
     padding: 2px 6px;
@@ -637,563 +2268,5336 @@ function applyKeywordHighlight(messageElement, keyword) {
     font-weight: bold;
   `;
 
-  // Insert badge after username
-  const usernameElement = messageElement.children[2];
-  if (usernameElement) {
-    usernameElement.appendChild(badge);
+  // Insert badge after username, or before the text of system messages
+  const { authorElement, textElement } = parseChatMessage(messageElement);
+  if (authorElement) {
+    authorElement.appendChild(badge);
+  } else {
+    textElement.prepend(badge);
   }
 }
 
 /**
- * Remove keyword highlights (Needs Modification)
+ * Remove all alert highlights and badges
  */
-function removeKeywordHighlights() {
-  const matches = document.querySelectorAll(".chat-keyword-match");
+function removeAlertHighlights() {
+  const matches = document.querySelectorAll(".chat-alert-match");
   matches.forEach((msg) => {
-    msg.classList.remove("chat-keyword-match");
+    msg.classList.remove("chat-alert-match");
     msg.style.borderLeft = "";
     msg.style.backgroundColor = "";
     msg.style.paddingLeft = "";
 
-    const badge = msg.querySelector(".keyword-badge");
+    const badge = msg.querySelector(".chat-alert-badge");
     if (badge) badge.remove();
   });
+
+  document.querySelectorAll(".chat-wishlist-item").forEach((link) => {
+    link.classList.remove("chat-wishlist-item");
+    link.style.outline = "";
+    link.style.backgroundColor = "";
+    link.style.borderRadius = "";
+  });
 }
 
-// ============================================================================
-// CHAT OBSERVER
-// ============================================================================
+/**
+ * Evaluate alert rules on messages: highlight every match and, unless
+ * options.notify is false, run each rule's actions once per message
+ */
+function runAlertRules(messages, options = {}) {
+  const notify = options.notify !== false;
+  const context = { channel: getActiveChannel(), date: new Date() };
 
-function handleChatMutations(mutations) {
-  // Filter for new chat messages
-  const newMessages = [];
+  for (const msg of messages) {
+    const record = parseChatMessage(msg);
+    if (isIgnored(record)) continue;
 
-  for (const mutation of mutations) {
-    for (const node of mutation.addedNodes) {
-      if (
-        node.nodeType === Node.ELEMENT_NODE &&
-        node.classList &&
-        node.classList.contains("chat-txt")
-      ) {
-        newMessages.push(node);
+    const matches = getRuleMatches(record, context);
+    if (matches.length === 0) continue;
+
+    // Apply visual highlight
+    applyAlertHighlight(msg, matches);
+    if (!notify) continue;
+
+    const messageId = getMessageId(msg);
+    // One cue per message, from the first rule that wants one
+    let sound = null;
+
+    for (const match of matches) {
+      if (!markRuleAlerted(match.rule.id, messageId)) continue;
+      if (match.rule.builtin) trackUnreadAlert(msg);
+
+      const { actions } = match.rule;
+      match.urgent =
+        match.mention === "explicit" && state.settings.mentions.atPriority;
+      const quiet =
+        isQuietHours(context.date) &&
+        !actions.bypassQuietHours &&
+        !match.urgent;
+      if (actions.notify && !quiet) deliverRuleAlert(match, msg);
+      if (actions.pin) pinMessage(msg);
+      if (actions.sound && !quiet && !sound) {
+        sound = {
+          tone: actions.tone,
+          bypassQuietHours: actions.bypassQuietHours || match.urgent,
+        };
       }
-    }
-  }
 
-  if (newMessages.length === 0) return;
+      console.log("[Chat] Rule matched:", match.rule.name, messageId);
+    }
 
-  // Process features
-  try {
-    checkForMentions(newMessages);
-    highlightOwnMessages(newMessages);
-    checkForSessionChange(newMessages, mutations);
-    addMarkerButtons(newMessages);
-    checkForKeywords(newMessages);
-  } catch (e) {
-    console.error("[Chat] Error processing messages:", e);
+    if (sound) {
+      playAlertSound(sound.tone, { bypassQuietHours: sound.bypassQuietHours });
+    }
   }
 }
 
-async function startObserver() {
-  if (state.observer) return;
+/**
+ * Recompute alert highlights for every message on screen, without notifying
+ */
+function refreshAlertHighlights() {
+  removeAlertHighlights();
+  runAlertRules(Array.from(document.querySelectorAll(".chat-txt")), {
+    notify: false,
+  });
+}
 
-  try {
-    const container = await findChatContainer();
+// ============================================================================
+// SOUND ALERTS
+// ============================================================================
 
-    state.observer = new MutationObserver(handleChatMutations);
-    state.observer.observe(container, {
-      childList: true,
-      subtree: true,
-    });
+/**
+ * Tones synthesized with Web Audio: a waveform and a run of note
+ * frequencies (Hz), each lasting noteLength seconds
+ */
+const SOUND_TONES = {
+  mention: {
+    label: "Mention",
+    type: "sine",
+    notes: [880, 1320],
+    noteLength: 0.12,
+  },
+  keyword: {
+    label: "Keyword",
+    type: "triangle",
+    notes: [660, 660],
+    noteLength: 0.1,
+  },
+  watched: {
+    label: "Watched player",
+    type: "sine",
+    notes: [523, 659, 784],
+    noteLength: 0.09,
+  },
+};
 
-    console.log("[Chat] Observer started");
-  } catch (e) {
-    console.error("[Chat] Failed to start observer:", e);
-  }
-}
+/**
+ * Whether sound cues may play right now. bypassQuietHours is set for alerts
+ * allowed through quiet hours, so their notification isn't silent.
+ */
+function canPlaySound(bypassQuietHours = false) {
+  const { enabled, whenFocused } = state.settings.sound;
+  if (!enabled || (isQuietHours() && !bypassQuietHours)) return false;
 
-function stopObserver() {
-  if (state.observer) {
-    state.observer.disconnect();
-    state.observer = null;
-    console.log("[Chat] Observer stopped");
-  }
+  const focused = document.visibilityState === "visible" && document.hasFocus();
+  return whenFocused || !focused;
 }
 
-// ============================================================================
-// FEATURE CONTROLS
-// ============================================================================
+/**
+ * Play a named tone. options.volume overrides the saved volume,
+ * options.bypassQuietHours plays during quiet hours and options.force skips
+ * the mute/quiet hours/focus checks (test button).
+ */
+function playAlertSound(tone, options = {}) {
+  if (!options.force && !canPlaySound(options.bypassQuietHours)) return;
 
-function startMentionWatcher() {
-  if (state.features.mentions) return;
+  const definition = SOUND_TONES[tone] || SOUND_TONES.keyword;
+  const volume = options.volume ?? state.settings.sound.volume;
+  if (volume <= 0) return;
 
-  // Get username if not set
-  if (!state.username) {
-    const stored = getStoredUsername();
-    if (stored) {
-      state.username = stored;
-    } else {
-      const input = prompt("Enter your username for mention notifications:");
-      if (!input) return;
+  try {
+    if (!state.audioContext) {
+      const AudioContextClass =
+        window.AudioContext || window.webkitAudioContext;
+      if (!AudioContextClass) return;
+      state.audioContext = new AudioContextClass();
+    }
 
-      state.username = sanitizeUsername(input);
-      saveUsername(state.username);
+    const context = state.audioContext;
+    // Browsers suspend audio until the page has had a user gesture
+    if (context.state === "suspended") context.resume();
+
+    let start = context.currentTime;
+    for (const frequency of definition.notes) {
+      const oscillator = context.createOscillator();
+      const gain = context.createGain();
+      oscillator.type = definition.type;
+      oscillator.frequency.value = frequency;
+
+      const end = start + definition.noteLength;
+      gain.gain.setValueAtTime(volume * 0.3, start);
+      gain.gain.exponentialRampToValueAtTime(0.001, end);
+
+      oscillator.connect(gain).connect(context.destination);
+      oscillator.start(start);
+      oscillator.stop(end);
+      start = end;
     }
+  } catch (e) {
+    console.error("[Chat] Failed to play alert sound:", e);
   }
+}
 
-  state.features.mentions = true;
-  requestNotificationPermission();
-  startObserver();
+// ============================================================================
+// FEATURE: IGNORE LIST
+// ============================================================================
 
-  console.log("[Chat] Mention watcher started for:", state.username);
+const IGNORE_MODE_OPTIONS = [
+  { value: "collapse", label: "Collapse" },
+  { value: "hide", label: "Hide" },
+  { value: "dim", label: "Dim" },
+];
+
+/**
+ * The ignore list entry for a message's author, if any
+ */
+function isIgnored(record) {
+  if (record.isSystem) return null;
+  return (
+    state.settings.ignored.find((entry) => entry.slug === record.authorSlug) ||
+    null
+  );
 }
 
-function stopMentionWatcher() {
-  state.features.mentions = false;
-  state.seenMessages.clear();
-  console.log("[Chat] Mention watcher stopped");
+/**
+ * Undo any ignore styling on a message
+ */
+function clearIgnoreStyle(messageElement) {
+  if (!messageElement.classList.contains("chat-ignored")) return;
+
+  messageElement.classList.remove("chat-ignored");
+  messageElement.style.display = "";
+  messageElement.style.opacity = "";
+
+  const placeholder = messageElement.previousElementSibling;
+  if (placeholder?.classList.contains("chat-ignored-placeholder")) {
+    placeholder.remove();
+  }
 }
 
-function startHighlighter() {
-  if (state.features.highlighting) return;
+/**
+ * Hide, collapse or dim messages from ignored players
+ */
+function applyIgnoreList(messages) {
+  for (const msg of messages) {
+    const entry = isIgnored(parseChatMessage(msg));
+    clearIgnoreStyle(msg);
+    if (!entry) continue;
 
-  // Get username if not set
-  if (!state.username) {
-    const stored = getStoredUsername();
-    if (stored) {
-      state.username = stored;
-    } else {
-      const input = prompt("Enter your username for message highlighting:");
-      if (!input) return;
+    msg.classList.add("chat-ignored");
 
-      state.username = sanitizeUsername(input);
-      saveUsername(state.username);
+    if (entry.mode === "dim") {
+      msg.style.opacity = "0.35";
+      continue;
     }
+
+    msg.style.display = "none";
+    if (entry.mode !== "collapse") continue;
+
+    const placeholder = document.createElement("div");
+    placeholder.className = `chat-ignored-placeholder ${CONFIG.UI_CLASS}`;
+    placeholder.textContent = "Message from ignored user — click to show";
+    placeholder.style.cssText = `
+      margin: 2px 0;
+      font-size: 11px;
+      font-style: italic;
+      color: #8e8e93;
+      cursor: pointer;
+    `;
+    placeholder.addEventListener("click", () => {
+      placeholder.remove();
+      msg.style.display = "";
+    });
+    msg.before(placeholder);
   }
+}
 
-  state.features.highlighting = true;
-  startObserver();
+/**
+ * Re-apply the ignore list to every message on screen
+ */
+function refreshIgnoredMessages() {
+  applyIgnoreList(Array.from(document.querySelectorAll(".chat-txt")));
+}
 
-  // Highlight existing messages
-  const messages = document.querySelectorAll(".chat-txt");
-  highlightOwnMessages(Array.from(messages));
+function ignorePlayer(slug, name, mode = "collapse") {
+  if (!slug || state.settings.ignored.some((entry) => entry.slug === slug)) {
+    return;
+  }
 
-  console.log("[Chat] Highlighter started for:", state.username);
+  state.settings.ignored.push({ slug, name: name || slug, mode });
+  saveSettings();
+  refreshIgnoredMessages();
+  console.log("[Chat] Ignoring player:", slug);
 }
 
-function stopHighlighter() {
-  state.features.highlighting = false;
+function unignorePlayer(slug) {
+  state.settings.ignored = state.settings.ignored.filter(
+    (entry) => entry.slug !== slug,
+  );
+  saveSettings();
+  refreshIgnoredMessages();
+  console.log("[Chat] No longer ignoring player:", slug);
+}
 
-  // Remove highlights (but preserve markers)
-  const messages = document.querySelectorAll('.chat-txt[style*="border"]');
-  messages.forEach((msg) => {
-    // Don't remove if it's a marked message
-    if (!msg.classList.contains("chat-marked")) {
+// ============================================================================
+// FEATURE: WATCHED PLAYERS
+// ============================================================================
+
+/**
+ * The watched-players entry for a message's author, if any
+ */
+function getWatchedEntry(record) {
+  if (record.isSystem) return null;
+  return (
+    state.settings.watched.find((entry) => entry.slug === record.authorSlug) ||
+    null
+  );
+}
+
+function applyWatchedStyle(messageElement, entry) {
+  messageElement.classList.add("chat-watched");
+  messageElement.style.border = `3px solid ${entry.color}`;
+  messageElement.style.borderRadius = "6px";
+  messageElement.style.padding = "2px";
+}
+
+/**
+ * Color messages from watched players (pins keep their own styling)
+ */
+function applyWatchedColors(messages) {
+  for (const msg of messages) {
+    if (msg.classList.contains("chat-marked")) continue;
+
+    const record = parseChatMessage(msg);
+    const entry = getWatchedEntry(record);
+    if (entry) {
+      applyWatchedStyle(msg, entry);
+    } else if (msg.classList.contains("chat-watched")) {
+      msg.classList.remove("chat-watched");
       msg.style.border = "";
       msg.style.borderRadius = "";
       msg.style.padding = "";
+      highlightOwnMessages([msg]);
     }
-  });
+  }
+}
+
+/**
+ * Re-apply watched colors to every message on screen
+ */
+function refreshWatchedMessages() {
+  applyWatchedColors(Array.from(document.querySelectorAll(".chat-txt")));
+}
+
+/**
+ * Announce the first message of the session from watched players who have
+ * notifications on
+ */
+function checkForWatchedPlayers(messages) {
+  for (const msg of messages) {
+    const record = parseChatMessage(msg);
+    const entry = getWatchedEntry(record);
+    if (!entry || !entry.notify || isIgnored(record)) continue;
+    if (state.watchedSpoken.has(entry.slug)) continue;
+
+    state.watchedSpoken.add(entry.slug);
+    if (!isQuietHours()) {
+      showNotification(
+        `${record.author || entry.name} is online`,
+        record.text.substring(0, 100),
+        createArchiveRecord(msg),
+      );
+      playAlertSound("watched");
+    }
+    console.log("[Chat] Watched player spoke:", entry.slug);
+  }
+}
+
+/**
+ * Pick the next color from the palette for a newly watched player
+ */
+function nextWatchColor(watched) {
+  return CONFIG.WATCH_COLORS[watched.length % CONFIG.WATCH_COLORS.length];
+}
+
+function watchPlayer(slug, name) {
+  if (!slug || state.settings.watched.some((entry) => entry.slug === slug)) {
+    return;
+  }
+
+  state.settings.watched.push({
+    slug,
+    name: name || slug,
+    color: nextWatchColor(state.settings.watched),
+    notify: false,
+  });
+  saveSettings();
+  refreshWatchedMessages();
+  console.log("[Chat] Watching player:", slug);
+}
+
+function unwatchPlayer(slug) {
+  state.settings.watched = state.settings.watched.filter(
+    (entry) => entry.slug !== slug,
+  );
+  state.watchedSpoken.delete(slug);
+  saveSettings();
+  refreshWatchedMessages();
+  console.log("[Chat] Stopped watching player:", slug);
+}
+
+// ============================================================================
+// TRADE OFFERS
+// ============================================================================
+
+// Words that set the side of the ((items)) after them, until the next one:
+// buy, sell or trade
+const TRADE_INTENT_PATTERN =
+  /\b(?:(wtb|lf|looking\s+for|buying|buy|need(?:ing)?)|(wts|fs|for\s+sale|selling|sell|offering)|(wtt|ft|trading|trade|swapping|swap))\b/gi;
+
+/**
+ * Split ((Item)) notation into alternating text and item names:
+ * [text, item, text, item, text]
+ */
+function splitItemNotation(text) {
+  return text.split(/\(\(([^)]+)\)\)/);
+}
+
+// A number with an optional k/m suffix: "500", "1,200", "2.5k"
+const TRADE_NUMBER = "(\\d[\\d,]*(?:\\.\\d+)?)\\s*([km](?![a-z]))?";
+
+// Quantity right before an item ("500 ((Iron))", "x500 ((Iron))") or right
+// after it ("((Iron)) x500")
+const TRADE_QUANTITY_BEFORE = new RegExp(
+  `(?:^|[^\\w.,])(?:x\\s*)?${TRADE_NUMBER}\\s*x?\\s*$`,
+  "i",
+);
+const TRADE_QUANTITY_AFTER = new RegExp(`^\\s*x\\s*${TRADE_NUMBER}`, "i");
+
+// "20s each", "@ 20", "for 10k", "2g/ea", "15k total". A bare number is not
+// a price; it needs a lead-in, a currency or a basis.
+const TRADE_PRICE_PATTERN = new RegExp(
+  `(@|\\bfor\\b|\\bat\\b)?\\s*${TRADE_NUMBER}\\s*(silver|gold|s|g)?(?![a-z])\\s*(each|ea|per|apiece|\\/\\s*ea(?:ch)?|total)?`,
+  "gi",
+);
+
+function parseTradeNumber(number, suffix) {
+  const value = parseFloat(number.replace(/,/g, ""));
+  const multiplier = { k: 1000, m: 1000000 }[suffix?.toLowerCase()] || 1;
+  return Math.round(value * multiplier);
+}
+
+/**
+ * Quantity stated next to an item, given the text before and after it.
+ * Returns { quantity, rest } where rest is the text after, minus an "x500".
+ */
+function parseItemQuantity(before, after) {
+  const quantityAfter = after.match(TRADE_QUANTITY_AFTER);
+  if (quantityAfter) {
+    return {
+      quantity: parseTradeNumber(quantityAfter[1], quantityAfter[2]),
+      rest: after.slice(quantityAfter[0].length),
+    };
+  }
+
+  const quantityBefore = before.match(TRADE_QUANTITY_BEFORE);
+  if (
+    quantityBefore &&
+    // "@ 20 ((Wood))" is the previous item's price
+    !/(?:@|\bfor|\bat)\s*$/i.test(before.slice(0, quantityBefore.index + 1))
+  ) {
+    return {
+      quantity: parseTradeNumber(quantityBefore[1], quantityBefore[2]),
+      rest: after,
+    };
+  }
+  return { quantity: null, rest: after };
+}
+
+function parseTradePrice(text, quantity) {
+  TRADE_PRICE_PATTERN.lastIndex = 0;
+  let match;
+  while ((match = TRADE_PRICE_PATTERN.exec(text))) {
+    if (match[0].trim() === "") {
+      TRADE_PRICE_PATTERN.lastIndex++;
+      continue;
+    }
+    const [, lead, number, suffix, currency, basis] = match;
+    if (!lead && !currency && !basis) continue;
+
+    // "for 10k" prices the whole lot, unless no quantity was given
+    let each = true;
+    if (basis) each = basis.toLowerCase() !== "total";
+    else if (lead?.toLowerCase() === "for") each = quantity === null;
+
+    return {
+      amount: parseTradeNumber(number, suffix),
+      currency: /^g/i.test(currency || "") ? "gold" : "silver",
+      each,
+    };
+  }
+  return null;
+}
+
+/**
+ * Find trade offers in a message written in ((Item)) notation, e.g.
+ * "selling 500 ((Iron)) 20s each, LF ((Wood))" gives a sell offer for Iron
+ * and a buy offer for Wood. Returns [{ side, item, quantity, price }] where
+ * side is "buy" | "sell" | "trade" and quantity/price may be null.
+ */
+function parseTradeOffers(text) {
+  // Alternating text and item names: [text, item, text, item, text]
+  const parts = splitItemNotation(text);
+  const offers = [];
+  let side = null;
+
+  for (let i = 0; i < parts.length; i++) {
+    if (i % 2 === 0) {
+      for (const match of parts[i].matchAll(TRADE_INTENT_PATTERN)) {
+        side = match[1] ? "buy" : match[2] ? "sell" : "trade";
+      }
+      continue;
+    }
+    if (!side) continue;
+
+    const before = parts[i - 1];
+    let after = parts[i + 1];
+    // Details after an item stop where the next intent starts
+    const nextIntent = after.search(TRADE_INTENT_PATTERN);
+    if (nextIntent !== -1) after = after.slice(0, nextIntent);
+
+    const { quantity, rest } = parseItemQuantity(before, after);
+    offers.push({
+      side,
+      item: parts[i].trim(),
+      quantity,
+      price: parseTradePrice(rest, quantity),
+    });
+  }
+  return offers;
+}
+
+/**
+ * Amount in the short form chat uses: 1500 -> "1.5k", 2000000 -> "2m"
+ */
+function formatAmount(amount) {
+  if (amount >= 1000000 && amount % 100000 === 0) return `${amount / 1000000}m`;
+  if (amount >= 1000 && amount % 100 === 0) return `${amount / 1000}k`;
+  return (Math.round(amount * 100) / 100).toLocaleString();
+}
+
+function formatTradePrice(price) {
+  return `${formatAmount(price.amount)} ${price.currency}${price.each ? " each" : " total"}`;
+}
+
+function getTradeExpiry() {
+  return state.settings.trade.expiryMinutes * 60 * 1000;
+}
+
+/**
+ * Drop offers older than the configured expiry
+ */
+function pruneTradeOffers(now = Date.now()) {
+  for (const [key, offer] of state.tradeOffers) {
+    if (now - offer.record.seenAt > getTradeExpiry()) {
+      state.tradeOffers.delete(key);
+    }
+  }
+}
+
+/**
+ * Add the offers in an archive-style record to the board. A player posting
+ * the same item and side again replaces their older offer.
+ */
+function addTradeOffers(record) {
+  if (record.isSystem || !record.author || isIgnored(record)) return false;
+
+  let added = false;
+  parseTradeOffers(getItemNotation(record)).forEach((offer, index) => {
+    const key = `${record.id}:${index}`;
+    if (state.tradeOffers.has(key)) return;
+
+    for (const [otherKey, other] of state.tradeOffers) {
+      if (
+        other.record.authorSlug === record.authorSlug &&
+        other.side === offer.side &&
+        other.item.toLowerCase() === offer.item.toLowerCase() &&
+        other.record.seenAt <= record.seenAt
+      ) {
+        state.tradeOffers.delete(otherKey);
+      }
+    }
+    state.tradeOffers.set(key, { ...offer, key, record });
+    added = true;
+  });
+  return added;
+}
+
+function collectTradeOffers(messages) {
+  let added = false;
+  for (const messageElement of messages) {
+    if (addTradeOffers(createArchiveRecord(messageElement))) added = true;
+  }
+  if (added) refreshTradeBoard();
+}
+
+/**
+ * Fill the board with recent offers from the archive, then the chat on
+ * screen, so a reload doesn't empty it
+ */
+async function loadTradeOffers(messages) {
+  try {
+    const records = await readArchiveRange(Date.now() - getTradeExpiry(), null);
+    records.forEach(addTradeOffers);
+  } catch (e) {
+    console.error("[Chat] Failed to load trade offers from history:", e);
+  }
+  collectTradeOffers(messages);
+  console.log("[Chat] Trade offers loaded:", state.tradeOffers.size);
+}
+
+// ============================================================================
+// WISHLIST
+// ============================================================================
+
+const WISHLIST_SIDE_OPTIONS = [
+  { value: "buy", label: "I'm buying" },
+  { value: "sell", label: "I'm selling" },
+];
+
+const CURRENCY_OPTIONS = [
+  { value: "silver", label: "silver" },
+  { value: "gold", label: "gold" },
+];
+
+/**
+ * Price per item of an offer, or null if it can't be worked out
+ */
+function getUnitPrice(offer) {
+  if (!offer.price) return null;
+  if (offer.price.each) return offer.price.amount;
+  return offer.quantity ? offer.price.amount / offer.quantity : null;
+}
+
+/**
+ * Whether an offer's price suits a wishlist entry: at most the entry's price
+ * when buying, at least it when selling. With a price set, offers without a
+ * usable price or in a different currency can't be checked, so they fail.
+ */
+function isWithinWishlistPrice(entry, offer) {
+  if (!entry.price) return true;
+  const unitPrice = getUnitPrice(offer);
+  if (unitPrice === null) return false;
+  if (offer.price.currency !== entry.currency) return false;
+  return entry.side === "buy"
+    ? unitPrice <= entry.price
+    : unitPrice >= entry.price;
+}
+
+/**
+ * Whether an offer's quantity suits a wishlist entry: at least the entry's
+ * target, so small lots don't alert. Most trade lines don't say how many,
+ * and those pass.
+ */
+function isWithinWishlistQuantity(entry, offer) {
+  if (!entry.quantity || offer.quantity === null) return true;
+  return offer.quantity >= entry.quantity;
+}
+
+/**
+ * Offers in a message that answer a wishlist entry: [{ entry, offer }]
+ */
+function getWishlistMatches(record) {
+  const { wishlist } = state.settings;
+  if (wishlist.length === 0 || record.isSystem || isOwnMessage(record)) {
+    return [];
+  }
+
+  const hits = [];
+  for (const offer of parseTradeOffers(getItemNotation(record))) {
+    const entry = wishlist.find(
+      (e) =>
+        e.item.toLowerCase() === offer.item.toLowerCase() &&
+        offer.side === (e.side === "buy" ? "sell" : "buy") &&
+        isWithinWishlistQuantity(e, offer) &&
+        isWithinWishlistPrice(e, offer),
+    );
+    if (entry) hits.push({ entry, offer });
+  }
+  return hits;
+}
+
+function describeWishlistHit(entry, offer) {
+  const parts = [];
+  if (offer.quantity !== null) {
+    parts.push(
+      entry.quantity
+        ? `${offer.quantity.toLocaleString()} (you want ${entry.quantity.toLocaleString()})`
+        : offer.quantity.toLocaleString(),
+    );
+  }
+  parts.push(
+    offer.price ? `@ ${formatTradePrice(offer.price)}` : "no price given",
+  );
+  return parts.join(" ");
+}
+
+/**
+ * Outline the ((item)) links a wishlist match was about
+ */
+function highlightWishlistItems(messageElement, matches) {
+  const hits = matches.flatMap((match) =>
+    match.wishlist.map((hit) => ({ ...hit, color: match.rule.actions.color })),
+  );
+  if (hits.length === 0) return;
+
+  const { textElement } = parseChatMessage(messageElement);
+  for (const img of textElement.querySelectorAll("a img[alt]")) {
+    const hit = hits.find(
+      (h) => h.offer.item.toLowerCase() === img.alt.trim().toLowerCase(),
+    );
+    if (!hit) continue;
+
+    const link = img.closest("a");
+    const color = hit.color || CONFIG.WISHLIST_HIGHLIGHT_COLOR;
+    link.classList.add("chat-wishlist-item");
+    link.style.outline = `2px solid ${color}`;
+    link.style.backgroundColor = hexToRgba(color, 0.3);
+    link.style.borderRadius = "3px";
+  }
+}
+
+// ============================================================================
+// ITEM PRICES
+// ============================================================================
+
+// A reference price as typed or imported: "20", "1,200", "1.5k", "20s", "2g"
+const PRICE_INPUT_PATTERN = new RegExp(
+  `^${TRADE_NUMBER}\\s*(silver|gold|s|g)?$`,
+  "i",
+);
+
+/**
+ * Lowercased item name -> price table entry
+ */
+function getPriceTable() {
+  return new Map(
+    state.settings.prices.items.map((entry) => [
+      entry.item.toLowerCase(),
+      entry,
+    ]),
+  );
+}
+
+/**
+ * Price in chat shorthand: "20s", "2g", and "10k" since thousands are silver
+ */
+function formatShortPrice(amount, currency) {
+  const text = formatAmount(amount);
+  if (currency === "gold") return `${text}g`;
+  return /[km]$/.test(text) ? text : `${text}s`;
+}
+
+function createPriceTag(entry, quantity) {
+  const tag = document.createElement("span");
+  tag.className = `chat-price-tag ${CONFIG.UI_CLASS}`;
+  tag.textContent = `~${formatShortPrice(entry.price, entry.currency)}`;
+  tag.title = `Reference price: ${entry.price.toLocaleString()} ${entry.currency} each`;
+
+  if (quantity !== null) {
+    const total = entry.price * quantity;
+    tag.textContent += ` ×${formatAmount(quantity)} = ${formatShortPrice(total, entry.currency)}`;
+    tag.title += `\n${quantity.toLocaleString()} × ${entry.price.toLocaleString()} = ${total.toLocaleString()} ${entry.currency}`;
+  }
+
+  tag.style.cssText = `
+    display: inline-block;
+    margin: 0 2px;
+    padding: 0 4px;
+    border-radius: 3px;
+    background: #fef3c7;
+    color: #92400e;
+    font-size: 10px;
+    font-weight: bold;
+    vertical-align: middle;
+  `;
+  return tag;
+}
+
+/**
+ * Tag each ((item)) link that has a reference price, with a total when the
+ * message states a quantity for it
+ */
+function applyPriceTags(messages) {
+  if (!state.settings.prices.showTags) return;
+  const table = getPriceTable();
+  if (table.size === 0) return;
+
+  for (const msg of messages) {
+    const record = parseChatMessage(msg);
+    if (record.items.length === 0 || msg.querySelector(".chat-price-tag")) {
+      continue;
+    }
+
+    // Item mentions in message order, each with its stated quantity
+    const parts = splitItemNotation(record.textWithItems);
+    const mentions = [];
+    for (let i = 1; i < parts.length; i += 2) {
+      mentions.push({
+        item: parts[i].trim().toLowerCase(),
+        quantity: parseItemQuantity(parts[i - 1], parts[i + 1]).quantity,
+      });
+    }
+
+    for (const img of record.textElement.querySelectorAll("a img[alt]")) {
+      const name = img.alt.trim().toLowerCase();
+      const entry = table.get(name);
+      if (!entry || isEnhancerElement(img)) continue;
+
+      const index = mentions.findIndex((mention) => mention.item === name);
+      const quantity = index === -1 ? null : mentions[index].quantity;
+      if (index !== -1) mentions.splice(index, 1);
+      img.closest("a").after(createPriceTag(entry, quantity));
+    }
+  }
+}
+
+function removePriceTags() {
+  document.querySelectorAll(".chat-price-tag").forEach((tag) => tag.remove());
+}
+
+function refreshPriceTags() {
+  removePriceTags();
+  applyPriceTags(Array.from(document.querySelectorAll(".chat-txt")));
+}
+
+/**
+ * Parse a reference price. Returns { price, currency } or null.
+ */
+function parsePriceInput(text) {
+  const match = String(text).trim().match(PRICE_INPUT_PATTERN);
+  if (!match) return null;
+  return {
+    price: parseTradeNumber(match[1], match[2]),
+    currency: /^g/i.test(match[3] || "") ? "gold" : "silver",
+  };
+}
+
+/**
+ * Split CSV text into rows of fields, honoring "quoted, fields" and ""
+ */
+function parseCsvRows(text) {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === "," || char === ";" || char === "\t") {
+      row.push(field);
+      field = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && text[i + 1] === "\n") i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += char;
+    }
+  }
+  row.push(field);
+  rows.push(row);
+  return rows.filter((r) => r.some((value) => value.trim()));
+}
+
+/**
+ * Read a price list from CSV: item, price and an optional currency column
+ * (silver by default). A header row is skipped. Returns { items, warnings }.
+ */
+function parsePriceCsv(text) {
+  const items = [];
+  const warnings = [];
+
+  parseCsvRows(text).forEach(([name = "", priceText = "", currency], index) => {
+    const item = name.replace(/[()]/g, "").trim();
+    const parsed = parsePriceInput(priceText);
+    if (!parsed) {
+      if (index > 0) warnings.push(`Line ${index + 1}: no price for "${item}"`);
+      return;
+    }
+    if (!item) {
+      warnings.push(`Line ${index + 1}: missing item name`);
+      return;
+    }
+    if (currency?.trim()) {
+      parsed.currency = /^g/i.test(currency.trim()) ? "gold" : "silver";
+    }
+    items.push({ item, ...parsed });
+  });
+  return { items, warnings };
+}
+
+/**
+ * Add or update price entries, matching item names case-insensitively
+ */
+function mergePriceItems(target, items) {
+  for (const entry of items) {
+    const existing = target.find(
+      (e) => e.item.toLowerCase() === entry.item.toLowerCase(),
+    );
+    if (existing) Object.assign(existing, entry);
+    else target.push(entry);
+  }
+}
+
+// ============================================================================
+// AUTHOR ACTIONS
+// ============================================================================
+
+// Quick actions shown next to each author name. Each action gets the parsed
+// message record; `visible` decides whether it applies to that author.
+const AUTHOR_ACTIONS = [
+  {
+    icon: "⭐",
+    title: (record) =>
+      getWatchedEntry(record)
+        ? `Stop watching ${record.author}`
+        : `Watch ${record.author}`,
+    visible: (record) => !isOwnMessage(record),
+    run: (record) => {
+      if (getWatchedEntry(record)) {
+        unwatchPlayer(record.authorSlug);
+        showToast(`Stopped watching ${record.author}`);
+      } else {
+        watchPlayer(record.authorSlug, record.author);
+        showToast(`Watching ${record.author}`, "Edit", () =>
+          openSettingsPanel({ focus: "watched" }),
+        );
+      }
+    },
+  },
+  {
+    icon: "🚫",
+    title: (record) => `Ignore ${record.author}`,
+    visible: (record) => !isOwnMessage(record),
+    run: (record) => {
+      ignorePlayer(record.authorSlug, record.author);
+      showToast(`Ignoring ${record.author}`, "Undo", () =>
+        unignorePlayer(record.authorSlug),
+      );
+    },
+  },
+];
+
+/**
+ * Add quick action buttons next to the author name of each message
+ */
+function addAuthorActions(messages) {
+  for (const msg of messages) {
+    const record = parseChatMessage(msg);
+    if (record.isSystem || !record.authorElement) continue;
+    if (msg.querySelector(".chat-author-actions")) continue;
+
+    const actions = document.createElement("span");
+    actions.className = `chat-author-actions ${CONFIG.UI_CLASS}`;
+    actions.style.cssText = `
+      margin-left: 4px;
+      opacity: 0.4;
+      transition: opacity 0.2s;
+    `;
+
+    for (const action of AUTHOR_ACTIONS) {
+      if (!action.visible(record)) continue;
+
+      const button = document.createElement("button");
+      button.type = "button";
+      button.textContent = action.icon;
+      button.title = action.title(record);
+      button.style.cssText = `
+        padding: 0 2px;
+        border: none;
+        background: none;
+        cursor: pointer;
+        font-size: 11px;
+        line-height: 1;
+      `;
+      button.addEventListener("click", (e) => {
+        // The author element is usually the profile link
+        e.preventDefault();
+        e.stopPropagation();
+        action.run(record);
+        button.title = action.title(record);
+      });
+      actions.appendChild(button);
+    }
+
+    msg.addEventListener("mouseenter", () => {
+      actions.style.opacity = "1";
+    });
+    msg.addEventListener("mouseleave", () => {
+      actions.style.opacity = "0.4";
+    });
+
+    record.authorElement.appendChild(actions);
+  }
+}
+
+/**
+ * Decorations that apply to every message regardless of which features are
+ * on, and that never notify
+ */
+function enhanceMessages(messages) {
+  applyIgnoreList(messages);
+  applyWatchedColors(messages);
+  addAuthorActions(messages);
+  applyPriceTags(messages);
+}
+
+// ============================================================================
+// CHAT ARCHIVE
+// ============================================================================
+
+/**
+ * Wrap an IndexedDB request in a promise
+ */
+function idbRequest(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Resolve when a transaction commits
+ */
+function idbTransactionDone(transaction) {
+  return new Promise((resolve, reject) => {
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+}
+
+/**
+ * Close the archive database so the next openArchive uses the current
+ * account's
+ */
+function closeArchive() {
+  if (!state.archiveDb) return;
+  state.archiveDb.then((db) => db.close()).catch(() => {});
+  state.archiveDb = null;
+}
+
+/**
+ * Open (and create/upgrade) the archive database. The connection is shared.
+ */
+function openArchive() {
+  if (state.archiveDb) return state.archiveDb;
+
+  const request = indexedDB.open(
+    getStorageKey(CONFIG.ARCHIVE_DB_NAME),
+    CONFIG.ARCHIVE_DB_VERSION,
+  );
+  request.onupgradeneeded = () => {
+    const db = request.result;
+    if (!db.objectStoreNames.contains(CONFIG.ARCHIVE_STORE)) {
+      const store = db.createObjectStore(CONFIG.ARCHIVE_STORE, {
+        keyPath: "id",
+      });
+      store.createIndex("seenAt", "seenAt");
+      store.createIndex("authorSlug", "authorSlug");
+    }
+  };
+
+  state.archiveDb = idbRequest(request).catch((e) => {
+    state.archiveDb = null;
+    throw e;
+  });
+  return state.archiveDb;
+}
+
+/**
+ * Look up one archived message by id. Resolves to null if it is not stored.
+ */
+async function getArchivedMessage(messageId) {
+  const db = await openArchive();
+  const store = db
+    .transaction(CONFIG.ARCHIVE_STORE, "readonly")
+    .objectStore(CONFIG.ARCHIVE_STORE);
+  return (await idbRequest(store.get(messageId))) || null;
+}
+
+/**
+ * Build the stored form of a chat line
+ */
+function createArchiveRecord(messageElement, seenAt = Date.now()) {
+  const record = parseChatMessage(messageElement);
+  return {
+    id: getMessageId(messageElement),
+    timestamp: record.timestamp,
+    author: record.author,
+    authorSlug: record.authorSlug,
+    text: record.text,
+    textWithItems: record.textWithItems,
+    items: record.items,
+    mentions: record.mentions,
+    isSystem: record.isSystem,
+    isStaff: record.isStaff,
+    channel: getActiveChannel(),
+    seenAt,
+  };
+}
+
+/**
+ * Store chat lines in the archive. Lines already stored keep their original
+ * record, so seenAt reflects when a message was first seen.
+ */
+async function archiveMessages(messages) {
+  if (!state.settings.archive.enabled || messages.length === 0) return;
+
+  try {
+    const db = await openArchive();
+    const transaction = db.transaction(CONFIG.ARCHIVE_STORE, "readwrite");
+    const store = transaction.objectStore(CONFIG.ARCHIVE_STORE);
+
+    // Give each line of a batch its own seenAt, oldest first, so history
+    // keeps chat order even for lines archived together
+    const ordered = CONFIG.CHAT_NEWEST_FIRST
+      ? Array.from(messages).reverse()
+      : messages;
+    const start = Date.now() - ordered.length + 1;
+
+    ordered.forEach((msg, index) => {
+      const request = store.add(createArchiveRecord(msg, start + index));
+      // Duplicate ids are expected; don't let them abort the batch
+      request.onerror = (e) => {
+        e.preventDefault();
+        e.stopPropagation();
+      };
+    });
+
+    await idbTransactionDone(transaction);
+  } catch (e) {
+    console.error("[Chat] Failed to archive messages:", e);
+    return;
+  }
+
+  if (Date.now() - state.lastArchivePrune > CONFIG.ARCHIVE_PRUNE_INTERVAL) {
+    pruneArchive();
+  }
+}
+
+/**
+ * Drop archived messages beyond the configured age and count limits
+ */
+async function pruneArchive() {
+  state.lastArchivePrune = Date.now();
+  const { retentionDays, maxMessages } = state.settings.archive;
+
+  try {
+    const db = await openArchive();
+    const transaction = db.transaction(CONFIG.ARCHIVE_STORE, "readwrite");
+    const index = transaction.objectStore(CONFIG.ARCHIVE_STORE).index("seenAt");
+
+    let excess = 0;
+    if (maxMessages > 0) {
+      const count = await idbRequest(index.count());
+      excess = Math.max(0, count - maxMessages);
+    }
+    const cutoff =
+      retentionDays > 0 ? Date.now() - retentionDays * 24 * 60 * 60 * 1000 : 0;
+
+    // Oldest first: delete while over the count limit or older than cutoff
+    let deleted = 0;
+    await new Promise((resolve, reject) => {
+      const request = index.openCursor();
+      request.onerror = () => reject(request.error);
+      request.onsuccess = () => {
+        const cursor = request.result;
+        if (!cursor) return resolve();
+        if (deleted >= excess && cursor.value.seenAt >= cutoff) {
+          return resolve();
+        }
+        cursor.delete();
+        deleted++;
+        cursor.continue();
+      };
+    });
+
+    await idbTransactionDone(transaction);
+    if (deleted > 0) console.log("[Chat] Pruned archived messages:", deleted);
+  } catch (e) {
+    console.error("[Chat] Failed to prune archive:", e);
+  }
+}
+
+/**
+ * Count archived messages and estimate the space they take
+ */
+async function getArchiveStats() {
+  const db = await openArchive();
+  const transaction = db.transaction(CONFIG.ARCHIVE_STORE, "readonly");
+  const store = transaction.objectStore(CONFIG.ARCHIVE_STORE);
+
+  let count = 0;
+  let bytes = 0;
+  let oldest = null;
+  await new Promise((resolve, reject) => {
+    const request = store.openCursor();
+    request.onerror = () => reject(request.error);
+    request.onsuccess = () => {
+      const cursor = request.result;
+      if (!cursor) return resolve();
+      count++;
+      // Rough size: UTF-16 JSON length
+      bytes += JSON.stringify(cursor.value).length * 2;
+      if (oldest === null || cursor.value.seenAt < oldest) {
+        oldest = cursor.value.seenAt;
+      }
+      cursor.continue();
+    };
+  });
+
+  return { count, bytes, oldest };
+}
+
+/**
+ * Delete every archived message
+ */
+async function purgeArchive() {
+  const db = await openArchive();
+  const transaction = db.transaction(CONFIG.ARCHIVE_STORE, "readwrite");
+  transaction.objectStore(CONFIG.ARCHIVE_STORE).clear();
+  await idbTransactionDone(transaction);
+  console.log("[Chat] Archive purged");
+}
+
+/**
+ * Walk archived messages by seenAt (newest first by default). The visitor
+ * returns false to stop early.
+ */
+async function walkArchive(range, direction, visit) {
+  const db = await openArchive();
+  const transaction = db.transaction(CONFIG.ARCHIVE_STORE, "readonly");
+  const index = transaction.objectStore(CONFIG.ARCHIVE_STORE).index("seenAt");
+
+  await new Promise((resolve, reject) => {
+    const request = index.openCursor(range, direction);
+    request.onerror = () => reject(request.error);
+    request.onsuccess = () => {
+      const cursor = request.result;
+      if (!cursor || visit(cursor.value) === false) return resolve();
+      cursor.continue();
+    };
+  });
+}
+
+/**
+ * Whether an archived message passes the history search filters
+ */
+function matchesHistoryFilters(record, filters) {
+  const text = filters.text.toLowerCase();
+  const author = normalizeUsername(filters.author);
+  const item = filters.item.toLowerCase().replace(/[()]/g, "").trim();
+
+  if (text && !record.text.toLowerCase().includes(text)) return false;
+  if (
+    author &&
+    !record.authorSlug.includes(author) &&
+    !record.author.toLowerCase().includes(author)
+  ) {
+    return false;
+  }
+  if (item && !record.items.some((i) => i.toLowerCase().includes(item))) {
+    return false;
+  }
+  if (filters.mentionsMe && !mentionsUser(record)) return false;
+  return true;
+}
+
+/**
+ * Key range over seenAt for optional from/to timestamps (ms)
+ */
+function getSeenAtRange(from, to) {
+  if (from !== null && to !== null) return IDBKeyRange.bound(from, to);
+  if (from !== null) return IDBKeyRange.lowerBound(from);
+  if (to !== null) return IDBKeyRange.upperBound(to);
+  return null;
+}
+
+/**
+ * Every archived message seen between from and to, oldest first
+ */
+async function readArchiveRange(from, to) {
+  const records = [];
+  await walkArchive(getSeenAtRange(from, to), "next", (record) => {
+    records.push(record);
+  });
+  return records;
+}
+
+/**
+ * Search the archive. filters: { text, author, item, mentionsMe, from, to }
+ * where from/to are timestamps (ms) or null. Returns newest matches first.
+ */
+async function searchArchive(filters, limit = CONFIG.HISTORY_RESULT_LIMIT) {
+  const results = [];
+  const range = getSeenAtRange(filters.from, filters.to);
+  await walkArchive(range, "prev", (record) => {
+    if (matchesHistoryFilters(record, filters)) results.push(record);
+    return results.length < limit;
+  });
+  return results;
+}
+
+/**
+ * Messages archived just before and after a record
+ */
+async function getArchiveContext(record, count = CONFIG.HISTORY_CONTEXT_SIZE) {
+  const before = [];
+  await walkArchive(
+    IDBKeyRange.upperBound(record.seenAt, true),
+    "prev",
+    (neighbor) => {
+      before.unshift(neighbor);
+      return before.length < count;
+    },
+  );
+
+  const after = [];
+  await walkArchive(
+    IDBKeyRange.lowerBound(record.seenAt, true),
+    "next",
+    (neighbor) => {
+      after.push(neighbor);
+      return after.length < count;
+    },
+  );
+
+  return { before, after };
+}
+
+/**
+ * Start archiving, including the lines already in the chat buffer
+ */
+async function startArchive() {
+  if (!state.settings.archive.enabled) return;
+
+  await startObserver();
+  try {
+    const container = await findChatContainer();
+    await archiveMessages(Array.from(container.querySelectorAll(".chat-txt")));
+  } catch (e) {
+    console.error("[Chat] Failed to start archive:", e);
+  }
+}
+
+// ============================================================================
+// CHAT OBSERVER
+// ============================================================================
+
+function handleChatMutations(mutations) {
+  // Filter for new chat messages
+  const newMessages = [];
+
+  for (const mutation of mutations) {
+    for (const node of mutation.addedNodes) {
+      if (
+        node.nodeType === Node.ELEMENT_NODE &&
+        node.classList &&
+        node.classList.contains("chat-txt")
+      ) {
+        newMessages.push(node);
+      }
+    }
+  }
+
+  if (newMessages.length === 0) return;
+
+  updateActiveChannel();
+  archiveMessages(newMessages);
+
+  // Process features
+  try {
+    enhanceMessages(newMessages);
+    checkForWatchedPlayers(newMessages);
+    runAlertRules(newMessages);
+    collectTradeOffers(newMessages);
+    highlightOwnMessages(newMessages);
+    checkForSessionChange(newMessages, mutations);
+    addMarkerButtons(newMessages);
+  } catch (e) {
+    console.error("[Chat] Error processing messages:", e);
+  }
+}
+
+async function startObserver() {
+  // Several features may be started in the same tick (e.g. on restore)
+  if (state.observer || state.observerStarting) return;
+  state.observerStarting = true;
+
+  try {
+    const container = await findChatContainer();
+
+    state.observer = new MutationObserver(handleChatMutations);
+    state.observer.observe(container, {
+      childList: true,
+      subtree: true,
+    });
+    updateActiveChannel();
+    const messages = Array.from(container.querySelectorAll(".chat-txt"));
+    enhanceMessages(messages);
+    loadTradeOffers(messages);
+
+    // Lines that arrived since the last visit (persisted across reloads).
+    // An empty chat is handled when its first lines arrive.
+    if (messages.length > 0) {
+      state.chatLoaded = true;
+      showReadSeparator();
+      if (document.visibilityState === "visible") updateLastRead();
+    }
+    document.addEventListener("visibilitychange", handleVisibilityChange);
+
+    console.log("[Chat] Observer started");
+  } catch (e) {
+    console.error("[Chat] Failed to start observer:", e);
+  } finally {
+    state.observerStarting = false;
+  }
+}
+
+function stopObserver() {
+  if (state.observer) {
+    state.observer.disconnect();
+    state.observer = null;
+    state.chatLoaded = false;
+    console.log("[Chat] Observer stopped");
+  }
+}
+
+// ============================================================================
+// FEATURE CONTROLS
+// ============================================================================
+
+function startMentionWatcher() {
+  if (state.features.mentions) return;
+
+  // Get username if not set
+  if (!state.username) {
+    const stored = getStoredUsername();
+    if (stored) {
+      state.username = stored;
+    } else if (!useDetectedUsername()) {
+      openSettingsPanel({ focus: "username", enable: "mentions" });
+      return;
+    }
+  }
+
+  state.features.mentions = true;
+  requestNotificationPermission();
+  startObserver();
+
+  console.log("[Chat] Mention watcher started for:", state.username);
+}
+
+function stopMentionWatcher() {
+  state.features.mentions = false;
+  forgetRuleMatches("mentions");
+  refreshAlertHighlights();
+  console.log("[Chat] Mention watcher stopped");
+}
+
+function startHighlighter() {
+  if (state.features.highlighting) return;
+
+  // Get username if not set
+  if (!state.username) {
+    const stored = getStoredUsername();
+    if (stored) {
+      state.username = stored;
+    } else if (!useDetectedUsername()) {
+      openSettingsPanel({ focus: "username", enable: "highlighting" });
+      return;
+    }
+  }
+
+  state.features.highlighting = true;
+  startObserver();
+
+  // Highlight existing messages
+  const messages = document.querySelectorAll(".chat-txt");
+  highlightOwnMessages(Array.from(messages));
+
+  console.log("[Chat] Highlighter started for:", state.username);
+}
+
+function stopHighlighter() {
+  state.features.highlighting = false;
+
+  // Remove highlights (but preserve markers)
+  const messages = document.querySelectorAll('.chat-txt[style*="border"]');
+  messages.forEach((msg) => {
+    // Don't remove if it's a marked message
+    if (!msg.classList.contains("chat-marked")) {
+      msg.style.border = "";
+      msg.style.borderRadius = "";
+      msg.style.padding = "";
+    }
+  });
+  refreshWatchedMessages();
+
+  console.log("[Chat] Highlighter stopped");
+}
+
+function startSeparator() {
+  if (state.features.separator) return;
+
+  state.features.separator = true;
+  startObserver();
+
+  console.log("[Chat] Session separator started");
+}
+
+function stopSeparator() {
+  state.features.separator = false;
+  removeSeparators();
+
+  console.log("[Chat] Session separator stopped");
+}
+
+function startMarkers() {
+  if (state.features.markers) return;
+
+  state.features.markers = true;
+  startObserver();
+
+  // Add marker buttons to existing messages
+  const messages = document.querySelectorAll(".chat-txt");
+  addMarkerButtons(Array.from(messages));
+
+  console.log("[Chat] Attention markers started");
+}
+
+function stopMarkers() {
+  state.features.markers = false;
+
+  // Remove all marker buttons and styling
+  removeAllMarkerButtons();
+
+  // Session pins go with the feature; persistent ones wait for next time
+  if (!state.settings.pins.persistent) {
+    state.markedMessages.clear();
+  }
+  refreshPinsPanel();
+
+  console.log("[Chat] Attention markers stopped");
+}
+
+function clearAllMarkers() {
+  // Keep the cleared pins around for undo
+  state.clearedPins = new Map(state.markedMessages);
+  state.markedMessages.clear();
+  savePins();
+
+  // Remove marker styling from all messages
+  const markedMessages = document.querySelectorAll(".chat-marked");
+  markedMessages.forEach((msg) => {
+    removeMarkerStyle(msg);
+    const button = msg.querySelector(".chat-marker-btn");
+    if (button) {
+      button.style.opacity = "0.6";
+    }
+  });
+
+  refreshPinsPanel();
+  showToast(
+    `Cleared ${state.clearedPins.size} pins`,
+    "Undo",
+    undoClearAllMarkers,
+  );
+
+  console.log("[Chat] All markers cleared");
+}
+
+function undoClearAllMarkers() {
+  if (!state.clearedPins) return;
+
+  for (const [messageId, pin] of state.clearedPins) {
+    state.markedMessages.set(messageId, pin);
+  }
+  state.clearedPins = null;
+  savePins();
+  restoreMarkerStyles();
+  refreshPinsPanel();
+
+  console.log("[Chat] Cleared markers restored");
+}
+
+/**
+ * Pin a message (used by the auto-pin rule action)
+ */
+function pinMessage(messageElement) {
+  const messageId = getMessageId(messageElement);
+  if (state.markedMessages.has(messageId)) return;
+
+  state.markedMessages.set(messageId, createPinSnapshot(messageElement));
+  applyMarkerStyle(messageElement);
+  const button = messageElement.querySelector(".chat-marker-btn");
+  if (button) button.style.opacity = "1";
+
+  savePins();
+  refreshPinsPanel();
+}
+
+/**
+ * Remove a single pin, whether or not its message is still on screen
+ */
+function deletePin(messageId) {
+  state.markedMessages.delete(messageId);
+  savePins();
+
+  const messageElement = findMessageElement(messageId);
+  if (messageElement) {
+    removeMarkerStyle(messageElement);
+    const button = messageElement.querySelector(".chat-marker-btn");
+    if (button) button.style.opacity = "0.6";
+  }
+
+  refreshPinsPanel();
+}
+
+/**
+ * Re-apply pin styling to on-screen messages that are pinned
+ */
+function restoreMarkerStyles() {
+  for (const msg of document.querySelectorAll(".chat-txt")) {
+    if (!state.markedMessages.has(getMessageId(msg))) continue;
+    applyMarkerStyle(msg);
+    const button = msg.querySelector(".chat-marker-btn");
+    if (button) button.style.opacity = "1";
+  }
+}
+
+function startKeywordWatcher() {
+  if (state.features.keywords) return;
+
+  // Load saved keywords
+  loadKeywords();
+
+  // If no keywords, ask for some in the settings panel
+  if (state.keywords.size === 0) {
+    openSettingsPanel({ focus: "keywords", enable: "keywords" });
+    return;
+  }
+
+  state.features.keywords = true;
+  startObserver();
+  refreshAlertHighlights();
+
+  console.log(
+    "[Chat] Keyword watcher started. Watching:",
+    describeKeywords(state.keywords),
+  );
+}
+
+function stopKeywordWatcher() {
+  state.features.keywords = false;
+  forgetRuleMatches("keywords");
+  refreshAlertHighlights();
+  console.log("[Chat] Keyword watcher stopped");
+}
+
+function manageKeywords() {
+  openSettingsPanel({ focus: "keywords" });
+}
+
+/**
+ * Split user-entered negative terms ("buying, -lf") into a clean list
+ */
+function parseExcludeTerms(text) {
+  return text
+    .split(",")
+    .map((term) => term.trim().toLowerCase().replace(/^-+/, ""))
+    .filter((term) => term);
+}
+
+/**
+ * Clean up a user-edited keyword. Returns null if the term is empty.
+ */
+function normalizeKeyword(keyword) {
+  let term = keyword.term.trim();
+  // Regex terms keep their parentheses and case flags are applied at match time
+  if (keyword.mode !== "regex") {
+    term = term.toLowerCase().replace(/[()]/g, "");
+  }
+  if (!term) return null;
+
+  return {
+    term,
+    scope: keyword.scope || "both",
+    mode: keyword.mode || "substring",
+    exclude: keyword.exclude || [],
+  };
+}
+
+/**
+ * Build a keyword from quick-add text, where "-word" tokens become exclusions
+ * (e.g. "iron -buying -lf")
+ */
+function parseKeywordInput(text) {
+  const exclude = [];
+  const term = text.replace(/(^|\s)-(\S+)/g, (_, space, word) => {
+    exclude.push(word.toLowerCase());
+    return "";
+  });
+  return normalizeKeyword({ term, exclude });
+}
+
+function resetAll() {
+  stopMentionWatcher();
+  stopHighlighter();
+  stopSeparator();
+  stopMarkers();
+  stopKeywordWatcher();
+  clearUsername();
+  state.username = null;
+
+  for (const feature of Object.keys(state.features)) {
+    persistFeature(feature);
+  }
+
+  console.log("[Chat] All features reset");
+}
+
+/**
+ * Start features that were enabled when the page was last open
+ */
+function restoreFeatures() {
+  state.username = getStoredUsername();
+  loadKeywords();
+  loadPins();
+
+  const saved = state.settings.features;
+
+  // Only restore features whose prerequisites are already stored, so a page
+  // load never opens the settings panel on its own
+  if (saved.mentions && state.username) startMentionWatcher();
+  if (saved.highlighting && state.username) startHighlighter();
+  if (saved.separator) startSeparator();
+  if (saved.markers) startMarkers();
+  if (saved.keywords && state.keywords.size > 0) startKeywordWatcher();
+  startArchive();
+  // Author actions and the ignore list work with every feature off
+  startObserver();
+
+  console.log("[Chat] Restored features:", state.features);
+}
+
+// ============================================================================
+// UI CONTROLS
+// ============================================================================
+
+const FEATURE_CONTROLS = {
+  mentions: {
+    label: "Mention notifications",
+    start: startMentionWatcher,
+    stop: stopMentionWatcher,
+    activeText: "Stop Mention Watcher",
+    inactiveText: "Start Mention Watcher",
+  },
+  highlighting: {
+    label: "Highlight my messages",
+    start: startHighlighter,
+    stop: stopHighlighter,
+    activeText: "Stop Highlighting",
+    inactiveText: "Highlight My Messages",
+  },
+  markers: {
+    label: "Message pins",
+    start: startMarkers,
+    stop: stopMarkers,
+    activeText: "Disable Message Pins",
+    inactiveText: "Enable Message Pins",
+  },
+  separator: {
+    label: "Session separator",
+    start: startSeparator,
+    stop: stopSeparator,
+    activeText: "Disable Session Separator",
+    inactiveText: "Enable Session Separator",
+  },
+  keywords: {
+    label: "Keyword alerts",
+    start: startKeywordWatcher,
+    stop: stopKeywordWatcher,
+    activeText: "Disable Keyword Alerts",
+    inactiveText: "Enable Keyword Alerts",
+  },
+};
+
+function createControlButton(text, onClick, inactiveColor = "#8e8e93") {
+  const button = document.createElement("button");
+  button.textContent = text;
+  button.style.cssText = `
+    padding: 8px 12px;
+    margin: 4px 0;
+    width: 100%;
+    font-size: 13px;
+    border: none;
+    border-radius: 4px;
+    cursor: pointer;
+    color: white;
+    background-color: ${inactiveColor};
+    transition: background-color 0.2s;
+  `;
+
+  button.addEventListener("click", onClick);
+
+  return button;
+}
+
+function updateButtonState(button, active, activeText, inactiveText) {
+  button.textContent = active ? activeText : inactiveText;
+  button.style.backgroundColor = active ? "#dc2626" : "#007aff";
+}
+
+/**
+ * Reflect a feature's running state on its sidebar button and companions
+ */
+function syncFeatureButton(feature) {
+  const control = FEATURE_CONTROLS[feature];
+  const button = state.ui.featureButtons[feature];
+  if (!button) return;
+
+  const active = state.features[feature];
+  updateButtonState(button, active, control.activeText, control.inactiveText);
+
+  for (const companion of state.ui.companions[feature] || []) {
+    companion.style.display = active ? "block" : "none";
+  }
+}
+
+function syncAllFeatureButtons() {
+  for (const feature of Object.keys(FEATURE_CONTROLS)) {
+    syncFeatureButton(feature);
+  }
+}
+
+/**
+ * Start or stop a feature from the sidebar and remember the choice
+ */
+function toggleFeature(feature) {
+  const control = FEATURE_CONTROLS[feature];
+
+  if (state.features[feature]) {
+    control.stop();
+  } else {
+    control.start();
+  }
+
+  persistFeature(feature);
+  syncFeatureButton(feature);
+}
+
+function appendSidebarItem(sidebar, element) {
+  const li = document.createElement("li");
+  li.appendChild(element);
+  sidebar.appendChild(li);
+  return li;
+}
+
+function appendFeatureButton(sidebar, feature) {
+  const button = createControlButton(
+    FEATURE_CONTROLS[feature].inactiveText,
+    () => toggleFeature(feature),
+  );
+  state.ui.featureButtons[feature] = button;
+  appendSidebarItem(sidebar, button);
+  return button;
+}
+
+function initializeUI() {
+  // Find the sidebar list
+  const sidebar = document.querySelector(".page-content > div > ul");
+  if (!sidebar) {
+    console.log("[Chat] Sidebar not found, retrying...");
+    setTimeout(initializeUI, 500);
+    return;
+  }
+
+  console.log("[Chat] Initializing UI controls");
+
+  // The sidebar is up, so the logged-in account can be read now
+  selectAccountProfile();
+
+  const settingsBtn = createControlButton(
+    "⚙️ Chat Settings",
+    () => openSettingsPanel(),
+    "#4b5563",
+  );
+  appendSidebarItem(sidebar, settingsBtn);
+
+  // Unread mentions/keyword hits with previous/next navigation
+  const unreadRow = document.createElement("div");
+  unreadRow.style.cssText = `
+    display: flex;
+    gap: 4px;
+  `;
+  const prevBtn = createControlButton("‹", () => showAdjacentAlert(-1));
+  prevBtn.title = "Previous (older) mention or keyword hit";
+  const nextBtn = createControlButton("›", () => showAdjacentAlert(1));
+  nextBtn.title = "Next (newer) mention or keyword hit";
+  prevBtn.style.width = nextBtn.style.width = "auto";
+  state.ui.unreadButton = createControlButton("", showNextUnreadAlert);
+  state.ui.unreadButton.title = "Jump to the oldest unread hit";
+  unreadRow.append(prevBtn, state.ui.unreadButton, nextBtn);
+  appendSidebarItem(sidebar, unreadRow);
+  updateUnreadIndicators();
+
+  appendSidebarItem(
+    sidebar,
+    createControlButton("✓ Mark All Read", markAllRead, "#4b5563"),
+  );
+
+  appendFeatureButton(sidebar, "mentions");
+  appendFeatureButton(sidebar, "highlighting");
+  appendFeatureButton(sidebar, "markers");
+
+  // Clear Markers Button (only visible when markers are active)
+  const clearMarkersBtn = createControlButton(
+    "Clear All Pins",
+    () => {
+      if (state.markedMessages.size > 0) {
+        clearAllMarkers();
+      }
+    },
+    "#f59e0b",
+  );
+  const clearMarkersLi = appendSidebarItem(sidebar, clearMarkersBtn);
+
+  appendSidebarItem(
+    sidebar,
+    createControlButton("Search History", () => openHistoryPanel(), "#4b5563"),
+  );
+
+  appendSidebarItem(
+    sidebar,
+    createControlButton("Export Chat", () => openTranscriptExport(), "#4b5563"),
+  );
+
+  appendSidebarItem(
+    sidebar,
+    createControlButton("Trade Board", () => openTradeBoard(), "#059669"),
+  );
+
+  const viewPinsLi = appendSidebarItem(
+    sidebar,
+    createControlButton("View Pins", () => openPinsPanel(), "#f59e0b"),
+  );
+  state.ui.companions.markers = [clearMarkersLi, viewPinsLi];
+
+  appendFeatureButton(sidebar, "separator");
+  appendFeatureButton(sidebar, "keywords");
+
+  // Manage Keywords Button (only visible when keyword alerts are active)
+  const keywordManageBtn = createControlButton(
+    "Manage Keywords",
+    () => {
+      manageKeywords();
+    },
+    "#a855f7",
+  );
+  appendSidebarItem(sidebar, keywordManageBtn);
+  state.ui.companions.keywords = [keywordManageBtn];
+
+  // Reset Button
+  const resetBtn = createControlButton(
+    "Reset All",
+    () => {
+      if (confirm("Reset username and stop all features?")) {
+        resetAll();
+        syncAllFeatureButtons();
+      }
+    },
+    "#7c2d12",
+  );
+  appendSidebarItem(sidebar, resetBtn);
+
+  // Restore features enabled in the previous session
+  restoreFeatures();
+  syncAllFeatureButtons();
+
+  // Follow logins to other accounts without a reload
+  checkAccountSwitch();
+  setInterval(checkAccountSwitch, CONFIG.ACCOUNT_CHECK_INTERVAL);
+}
+
+// ============================================================================
+// SETTINGS PANEL
+// ============================================================================
+
+const PANEL_INPUT_STYLE = `
+  box-sizing: border-box;
+  padding: 6px 8px;
+  font-size: 16px;
+  border: 1px solid #ccc;
+  border-radius: 4px;
+  color: #222;
+  background: white;
+`;
+
+const PANEL_BUTTON_STYLE = `
+  padding: 6px 10px;
+  font-size: 14px;
+  border: none;
+  border-radius: 4px;
+  cursor: pointer;
+  color: white;
+  background-color: #007aff;
+`;
+
+/**
+ * Create a small button for use inside panels
+ */
+function createPanelButton(text, onClick, color = "#007aff") {
+  const button = document.createElement("button");
+  button.type = "button";
+  button.textContent = text;
+  button.style.cssText = PANEL_BUTTON_STYLE;
+  button.style.backgroundColor = color;
+  button.addEventListener("click", onClick);
+  return button;
+}
+
+/**
+ * Create a text input for use inside panels
+ */
+function createPanelInput(value = "", placeholder = "") {
+  const input = document.createElement("input");
+  input.type = "text";
+  input.value = value;
+  input.placeholder = placeholder;
+  input.style.cssText = PANEL_INPUT_STYLE;
+  return input;
+}
+
+/**
+ * Create a dropdown for use inside panels. options: [{ value, label }]
+ */
+function createPanelSelect(options, value, onChange) {
+  const select = document.createElement("select");
+  select.style.cssText = PANEL_INPUT_STYLE;
+  for (const option of options) {
+    const element = document.createElement("option");
+    element.value = option.value;
+    element.textContent = option.label;
+    select.appendChild(element);
+  }
+  select.value = value;
+  select.addEventListener("change", () => onChange(select.value));
+  return select;
+}
+
+/**
+ * Create a labelled checkbox for use inside panels
+ */
+function createPanelCheckbox(text, checked, onChange, title = "") {
+  const label = document.createElement("label");
+  label.title = title;
+  label.style.cssText = `
+    display: flex;
+    align-items: center;
+    gap: 4px;
+    font-size: 12px;
+  `;
+
+  const checkbox = document.createElement("input");
+  checkbox.type = "checkbox";
+  checkbox.checked = checked;
+  checkbox.addEventListener("change", () => onChange(checkbox.checked));
+
+  label.append(checkbox, text);
+  return label;
+}
+
+/**
+ * Create a centered modal dialog. Returns its body and footer for content.
+ */
+function createModal(title, maxWidth = "480px") {
+  const overlay = document.createElement("div");
+  overlay.className = "chat-enhancer-modal";
+  overlay.style.cssText = `
+    position: fixed;
+    inset: 0;
+    z-index: 10000;
+    display: flex;
+    align-items: center;
+    justify-content: center;
+    background: rgba(0, 0, 0, 0.5);
+  `;
+
+  const dialog = document.createElement("div");
+  dialog.setAttribute("role", "dialog");
+  dialog.style.cssText = `
+    display: flex;
+    flex-direction: column;
+    width: 92vw;
+    max-width: ${maxWidth};
+    max-height: 85vh;
+    border-radius: 8px;
+    background: #f9fafb;
+    color: #222;
+    font-size: 14px;
+    box-shadow: 0 8px 24px rgba(0, 0, 0, 0.3);
+  `;
+
+  const header = document.createElement("div");
+  header.style.cssText = `
+    display: flex;
+    align-items: center;
+    justify-content: space-between;
+    padding: 12px 16px;
+    border-bottom: 1px solid #e5e7eb;
+    font-weight: bold;
+    font-size: 16px;
+  `;
+  header.textContent = title;
+
+  const body = document.createElement("div");
+  body.style.cssText = `
+    padding: 12px 16px;
+    overflow-y: auto;
+  `;
+
+  const footer = document.createElement("div");
+  footer.style.cssText = `
+    display: flex;
+    justify-content: flex-end;
+    gap: 8px;
+    padding: 12px 16px;
+    border-top: 1px solid #e5e7eb;
+  `;
+
+  function onKeydown(e) {
+    if (e.key === "Escape") close();
+  }
+
+  function close() {
+    overlay.remove();
+    document.removeEventListener("keydown", onKeydown);
+  }
+
+  const closeBtn = createPanelButton("✕", close, "#8e8e93");
+  closeBtn.title = "Close";
+  header.appendChild(closeBtn);
+
+  overlay.addEventListener("click", (e) => {
+    if (e.target === overlay) close();
+  });
+  document.addEventListener("keydown", onKeydown);
+
+  dialog.append(header, body, footer);
+  overlay.appendChild(dialog);
+  document.body.appendChild(overlay);
+
+  return { overlay, body, footer, close };
+}
+
+/**
+ * Create a panel docked to the right edge of the screen
+ */
+function createSidePanel(title, className) {
+  document.querySelector(`.${className}`)?.remove();
+
+  const panel = document.createElement("aside");
+  panel.className = className;
+  panel.style.cssText = `
+    position: fixed;
+    top: 0;
+    right: 0;
+    z-index: 9999;
+    display: flex;
+    flex-direction: column;
+    width: 360px;
+    max-width: 90vw;
+    height: 100vh;
+    background: #f9fafb;
+    color: #222;
+    font-size: 14px;
+    box-shadow: -4px 0 16px rgba(0, 0, 0, 0.25);
+  `;
+
+  const header = document.createElement("div");
+  header.style.cssText = `
+    display: flex;
+    align-items: center;
+    justify-content: space-between;
+    gap: 8px;
+    padding: 12px 16px;
+    border-bottom: 1px solid #e5e7eb;
+    font-weight: bold;
+    font-size: 16px;
+  `;
+  header.textContent = title;
+
+  const actions = document.createElement("div");
+  actions.style.cssText = `
+    display: flex;
+    gap: 4px;
+  `;
+
+  const body = document.createElement("div");
+  body.style.cssText = `
+    flex: 1;
+    padding: 12px 16px;
+    overflow-y: auto;
+  `;
+
+  function close() {
+    panel.remove();
+  }
+
+  const closeBtn = createPanelButton("✕", close, "#8e8e93");
+  closeBtn.title = "Close";
+  actions.appendChild(closeBtn);
+  header.appendChild(actions);
+
+  panel.append(header, body);
+  document.body.appendChild(panel);
+
+  return { panel, actions, body, close };
+}
+
+/**
+ * Show a short-lived message at the bottom of the screen, with an optional
+ * action button (e.g. "Undo")
+ */
+function showToast(message, actionLabel, onAction, duration = 6000) {
+  document.querySelector(".chat-enhancer-toast")?.remove();
+
+  const toast = document.createElement("div");
+  toast.className = "chat-enhancer-toast";
+  toast.style.cssText = `
+    position: fixed;
+    bottom: 24px;
+    left: 50%;
+    transform: translateX(-50%);
+    z-index: 10001;
+    display: flex;
+    align-items: center;
+    gap: 12px;
+    padding: 8px 12px;
+    border-radius: 6px;
+    background: #222;
+    color: white;
+    font-size: 14px;
+    box-shadow: 0 4px 12px rgba(0, 0, 0, 0.3);
+  `;
+  toast.append(message);
+
+  if (actionLabel) {
+    toast.appendChild(
+      createPanelButton(actionLabel, () => {
+        toast.remove();
+        onAction();
+      }),
+    );
+  }
+
+  document.body.appendChild(toast);
+  setTimeout(() => toast.remove(), duration);
+}
+
+/**
+ * Create a titled group of controls in the settings panel
+ */
+function createSettingsSection(title) {
+  const section = document.createElement("section");
+  section.style.cssText = `
+    margin-bottom: 16px;
+  `;
+
+  const heading = document.createElement("h3");
+  heading.textContent = title;
+  heading.style.cssText = `
+    margin: 0 0 8px;
+    font-size: 14px;
+    color: #4b5563;
+  `;
+
+  section.appendChild(heading);
+  return section;
+}
+
+function buildUsernameSection(draft, focus) {
+  const section = createSettingsSection("Username");
+
+  const detected = detectUsername();
+  if (!draft.username && detected) draft.username = detected;
+
+  const input = createPanelInput(draft.username || "", "Your FarmRPG name");
+  input.style.width = "100%";
+  input.addEventListener("input", () => {
+    draft.username = sanitizeUsername(input.value) || null;
+    updateHint();
+  });
+
+  // Point out the name the game shows, so typos are easy to spot
+  const hint = document.createElement("div");
+  hint.style.cssText = `
+    display: flex;
+    align-items: center;
+    gap: 6px;
+    margin-top: 4px;
+    font-size: 12px;
+    color: #6b7280;
+  `;
+  function updateHint() {
+    hint.replaceChildren();
+    if (!detected) return;
+
+    if (normalizeUsername(draft.username) === normalizeUsername(detected)) {
+      hint.append(`✓ Matches the logged-in player (${detected})`);
+    } else {
+      hint.append(
+        `You appear to be logged in as ${detected}`,
+        createPanelButton("Use it", () => {
+          input.value = detected;
+          draft.username = detected;
+          updateHint();
+        }),
+      );
+    }
+  }
+  updateHint();
+
+  const aliases = createPanelInput(
+    draft.mentions.aliases.join(", "),
+    "Nicknames that also count as mentions (comma-separated)",
+  );
+  aliases.style.width = "100%";
+  aliases.style.marginTop = "6px";
+  aliases.addEventListener("input", () => {
+    draft.mentions.aliases = aliases.value
+      .split(",")
+      .map((alias) => sanitizeUsername(alias))
+      .filter((alias) => alias);
+  });
+
+  const priority = createPanelCheckbox(
+    "Treat @mentions as urgent (skip rate limits and quiet hours)",
+    draft.mentions.atPriority,
+    (checked) => {
+      draft.mentions.atPriority = checked;
+    },
+  );
+  priority.style.marginTop = "6px";
+
+  section.append(input, hint, aliases, priority);
+
+  if (focus === "username") setTimeout(() => input.focus(), 0);
+  return section;
+}
+
+const KEYWORD_SCOPE_OPTIONS = [
+  { value: "both", label: "Text & items" },
+  { value: "text", label: "Text only" },
+  { value: "items", label: "Items only" },
+];
+
+const KEYWORD_MODE_OPTIONS = [
+  { value: "substring", label: "Contains" },
+  { value: "word", label: "Whole word" },
+  { value: "regex", label: "Regex" },
+];
+
+/**
+ * Editable list of keyword entries, changed in place
+ */
+function createKeywordEditor(keywords) {
+  const element = document.createElement("div");
+  const list = document.createElement("div");
+
+  function moveKeyword(from, to) {
+    if (to < 0 || to >= keywords.length) return;
+    const [keyword] = keywords.splice(from, 1);
+    keywords.splice(to, 0, keyword);
+    render();
+  }
+
+  function render() {
+    list.replaceChildren();
+
+    if (keywords.length === 0) {
+      const empty = document.createElement("div");
+      empty.textContent = "No keywords yet.";
+      empty.style.cssText = "color: #8e8e93; margin-bottom: 6px;";
+      list.appendChild(empty);
+    }
+
+    keywords.forEach((keyword, index) => {
+      const row = document.createElement("div");
+      row.style.cssText = `
+        display: flex;
+        flex-wrap: wrap;
+        gap: 4px;
+        margin-bottom: 8px;
+        padding-bottom: 8px;
+        border-bottom: 1px solid #e5e7eb;
+      `;
+
+      const input = createPanelInput(keyword.term);
+      input.style.flex = "1";
+      input.style.minWidth = "0";
+      input.addEventListener("input", () => {
+        keyword.term = input.value;
+      });
+
+      const scopeSelect = createPanelSelect(
+        KEYWORD_SCOPE_OPTIONS,
+        keyword.scope,
+        (value) => {
+          keyword.scope = value;
+        },
+      );
+
+      const modeSelect = createPanelSelect(
+        KEYWORD_MODE_OPTIONS,
+        keyword.mode,
+        (value) => {
+          keyword.mode = value;
+        },
+      );
+
+      const excludeInput = createPanelInput(
+        keyword.exclude.join(", "),
+        "Exclude: buying, lf",
+      );
+      excludeInput.style.flex = "1 1 100%";
+      excludeInput.addEventListener("input", () => {
+        keyword.exclude = parseExcludeTerms(excludeInput.value);
+      });
+
+      row.append(
+        input,
+        createPanelButton("↑", () => moveKeyword(index, index - 1), "#6b7280"),
+        createPanelButton("↓", () => moveKeyword(index, index + 1), "#6b7280"),
+        createPanelButton(
+          "✕",
+          () => {
+            keywords.splice(index, 1);
+            render();
+          },
+          "#dc2626",
+        ),
+        scopeSelect,
+        modeSelect,
+        excludeInput,
+      );
+      list.appendChild(row);
+    });
+  }
+
+  const addRow = document.createElement("div");
+  addRow.style.cssText = `
+    display: flex;
+    gap: 4px;
+    margin-top: 6px;
+  `;
+
+  const addInput = createPanelInput("", "e.g. iron -buying");
+  addInput.style.flex = "1";
+  addInput.style.minWidth = "0";
+
+  function addKeyword() {
+    const keyword = parseKeywordInput(addInput.value);
+    if (!keyword) return;
+    keywords.push(keyword);
+    addInput.value = "";
+    render();
+    addInput.focus();
+  }
+
+  addInput.addEventListener("keydown", (e) => {
+    if (e.key === "Enter") addKeyword();
+  });
+  addRow.append(addInput, createPanelButton("Add", addKeyword));
+
+  render();
+  element.append(list, addRow);
+  return { element, addInput };
+}
+
+function buildKeywordSection(draft, focus) {
+  const section = createSettingsSection("Keywords");
+  const rule = getBuiltinRule(draft, "keywords");
+  const editor = createKeywordEditor(rule.conditions.keywords);
+  section.appendChild(editor.element);
+
+  if (focus === "keywords") setTimeout(() => editor.addInput.focus(), 0);
+  return section;
+}
+
+const TONE_OPTIONS = Object.entries(SOUND_TONES).map(([value, tone]) => ({
+  value,
+  label: tone.label,
+}));
+
+/**
+ * Action controls shared by built-in and custom rules
+ */
+function createRuleActionsEditor(actions) {
+  const row = document.createElement("div");
+  row.style.cssText = `
+    display: flex;
+    flex-wrap: wrap;
+    align-items: center;
+    gap: 8px;
+  `;
+
+  const colorLabel = createPanelCheckbox(
+    "Highlight",
+    Boolean(actions.color),
+    (checked) => {
+      actions.color = checked ? color.value : "";
+    },
+  );
+  const color = document.createElement("input");
+  color.type = "color";
+  color.value = actions.color || CONFIG.KEYWORD_HIGHLIGHT_COLOR;
+  color.title = "Highlight color";
+  color.addEventListener("input", () => {
+    if (actions.color) actions.color = color.value;
+  });
+  colorLabel.appendChild(color);
+
+  const badge = createPanelInput(actions.badge, "Badge, e.g. 🔔 {keywords}");
+  badge.style.flex = "1 1 100%";
+  badge.addEventListener("input", () => {
+    actions.badge = badge.value;
+  });
+
+  const rateLimit = createNumberField(
+    "Max notifications per minute (0 = no limit)",
+    actions.rateLimit,
+    (value) => {
+      actions.rateLimit = value;
+    },
+  );
+  rateLimit.style.flex = "1 1 100%";
+  rateLimit.style.fontSize = "12px";
+
+  row.append(
+    createPanelCheckbox("Notify", actions.notify, (checked) => {
+      actions.notify = checked;
+    }),
+    createPanelCheckbox(
+      "Ignore quiet hours",
+      actions.bypassQuietHours,
+      (checked) => {
+        actions.bypassQuietHours = checked;
+      },
+    ),
+    createPanelCheckbox("Sound", actions.sound, (checked) => {
+      actions.sound = checked;
+    }),
+    createPanelSelect(TONE_OPTIONS, actions.tone, (value) => {
+      actions.tone = value;
+    }),
+    createPanelCheckbox("Auto-pin", actions.pin, (checked) => {
+      actions.pin = checked;
+    }),
+    colorLabel,
+    badge,
+    rateLimit,
+  );
+  return row;
+}
+
+/**
+ * Editor for one custom rule's name, conditions and actions
+ */
+function createRuleEditor(rule, onRemove) {
+  const { conditions } = rule;
+  const box = document.createElement("div");
+  box.style.cssText = `
+    display: flex;
+    flex-direction: column;
+    gap: 6px;
+    margin-bottom: 8px;
+    padding: 8px;
+    border: 1px solid #e5e7eb;
+    border-radius: 6px;
+  `;
+
+  const header = document.createElement("div");
+  header.style.cssText = `
+    display: flex;
+    align-items: center;
+    gap: 6px;
+  `;
+  const name = createPanelInput(rule.name, "Rule name");
+  name.style.flex = "1";
+  name.style.minWidth = "0";
+  name.addEventListener("input", () => {
+    rule.name = name.value;
+  });
+  header.append(
+    createPanelCheckbox("On", rule.enabled, (checked) => {
+      rule.enabled = checked;
+    }),
+    name,
+    createPanelButton("✕", onRemove, "#dc2626"),
+  );
+
+  // Text conditions bound straight to the rule
+  const textField = (key, placeholder) => {
+    const input = createPanelInput(conditions[key], placeholder);
+    input.addEventListener("input", () => {
+      conditions[key] = input.value.trim();
+    });
+    return input;
+  };
+
+  const time = document.createElement("div");
+  time.style.cssText = `
+    display: flex;
+    align-items: center;
+    gap: 6px;
+    font-size: 12px;
+  `;
+  const timeFrom = textField("timeFrom", "From HH:MM");
+  const timeTo = textField("timeTo", "To HH:MM");
+  timeFrom.style.flex = timeTo.style.flex = "1";
+  time.append(timeFrom, "–", timeTo);
+
+  const keywordsLabel = document.createElement("div");
+  keywordsLabel.textContent = "Any of these keywords:";
+  keywordsLabel.style.cssText = "font-size: 12px; color: #4b5563;";
+
+  box.append(
+    header,
+    textField("author", "From players (comma-separated)"),
+    createPanelCheckbox("Mentions me", conditions.mentionsMe, (checked) => {
+      conditions.mentionsMe = checked;
+    }),
+    createPanelCheckbox(
+      "Matches my wishlist",
+      conditions.wishlist,
+      (checked) => {
+        conditions.wishlist = checked;
+      },
+    ),
+    textField("item", "Links items (comma-separated)"),
+    keywordsLabel,
+    createKeywordEditor(conditions.keywords).element,
+    textField("channel", "In channels (comma-separated)"),
+    time,
+    createRuleActionsEditor(rule.actions),
+  );
+  return box;
+}
+
+function buildRulesSection(draft) {
+  const section = createSettingsSection("Alert Rules");
+  const builtins = document.createElement("div");
+  const list = document.createElement("div");
+
+  // Built-in rules keep their conditions apart from a channel restriction
+  for (const rule of draft.rules.filter((r) => r.builtin)) {
+    let title = document.createElement("div");
+    title.textContent = `${rule.name} (toggled from the sidebar)`;
+    if (!(rule.builtin in FEATURE_CONTROLS)) {
+      title = createPanelCheckbox(rule.name, rule.enabled, (checked) => {
+        rule.enabled = checked;
+      });
+    }
+    title.style.margin = "4px 0";
+    title.style.fontSize = "12px";
+    title.style.fontWeight = "bold";
+    const channel = createPanelInput(
+      rule.conditions.channel,
+      "Only in channels (comma-separated, blank for all)",
+    );
+    channel.style.width = "100%";
+    channel.style.marginBottom = "4px";
+    channel.addEventListener("input", () => {
+      rule.conditions.channel = channel.value.trim();
+    });
+
+    builtins.append(title, channel, createRuleActionsEditor(rule.actions));
+  }
+
+  function render() {
+    list.replaceChildren();
+
+    for (const rule of draft.rules.filter((r) => !r.builtin)) {
+      list.appendChild(
+        createRuleEditor(rule, () => {
+          draft.rules.splice(draft.rules.indexOf(rule), 1);
+          render();
+        }),
+      );
+    }
+  }
+
+  const addBtn = createPanelButton("Add rule", () => {
+    draft.rules.push(createRule());
+    render();
+  });
+
+  render();
+  list.style.marginTop = "8px";
+  section.append(builtins, list, addBtn);
+  return section;
+}
+
+function buildIgnoreSection(draft) {
+  const section = createSettingsSection("Ignored Players");
+  const list = document.createElement("div");
+
+  function render() {
+    list.replaceChildren();
+
+    if (draft.ignored.length === 0) {
+      const empty = document.createElement("div");
+      empty.textContent = "Nobody is ignored.";
+      empty.style.cssText = "color: #8e8e93; margin-bottom: 6px;";
+      list.appendChild(empty);
+    }
+
+    draft.ignored.forEach((entry, index) => {
+      const row = document.createElement("div");
+      row.style.cssText = `
+        display: flex;
+        align-items: center;
+        gap: 4px;
+        margin-bottom: 4px;
+      `;
+
+      const name = document.createElement("span");
+      name.textContent = entry.name;
+      name.style.cssText = `
+        flex: 1;
+        overflow: hidden;
+        text-overflow: ellipsis;
+      `;
+
+      row.append(
+        name,
+        createPanelSelect(IGNORE_MODE_OPTIONS, entry.mode, (value) => {
+          entry.mode = value;
+        }),
+        createPanelButton(
+          "✕",
+          () => {
+            draft.ignored.splice(index, 1);
+            render();
+          },
+          "#dc2626",
+        ),
+      );
+      list.appendChild(row);
+    });
+  }
+
+  const addRow = document.createElement("div");
+  addRow.style.cssText = `
+    display: flex;
+    gap: 4px;
+    margin-top: 6px;
+  `;
+
+  const addInput = createPanelInput("", "Player name");
+  addInput.style.flex = "1";
+  addInput.style.minWidth = "0";
+
+  function addPlayer() {
+    const name = sanitizeUsername(addInput.value);
+    const slug = normalizeUsername(name);
+    if (!slug || draft.ignored.some((entry) => entry.slug === slug)) return;
+
+    draft.ignored.push({ slug, name, mode: "collapse" });
+    addInput.value = "";
+    render();
+  }
+
+  addInput.addEventListener("keydown", (e) => {
+    if (e.key === "Enter") addPlayer();
+  });
+  addRow.append(addInput, createPanelButton("Add", addPlayer));
+
+  render();
+  section.append(list, addRow);
+  return section;
+}
+
+function buildWatchedSection(draft, focus) {
+  const section = createSettingsSection("Watched Players");
+  const list = document.createElement("div");
+
+  function render() {
+    list.replaceChildren();
+
+    if (draft.watched.length === 0) {
+      const empty = document.createElement("div");
+      empty.textContent = "Nobody is watched.";
+      empty.style.cssText = "color: #8e8e93; margin-bottom: 6px;";
+      list.appendChild(empty);
+    }
+
+    draft.watched.forEach((entry, index) => {
+      const row = document.createElement("div");
+      row.style.cssText = `
+        display: flex;
+        align-items: center;
+        gap: 6px;
+        margin-bottom: 4px;
+      `;
+
+      const color = document.createElement("input");
+      color.type = "color";
+      color.value = entry.color;
+      color.title = "Highlight color";
+      color.addEventListener("input", () => {
+        entry.color = color.value;
+      });
+
+      const name = document.createElement("span");
+      name.textContent = entry.name;
+      name.style.cssText = `
+        flex: 1;
+        overflow: hidden;
+        text-overflow: ellipsis;
+      `;
+
+      const notifyLabel = document.createElement("label");
+      notifyLabel.title = "Notify the first time they speak each session";
+      notifyLabel.style.cssText = `
+        display: flex;
+        align-items: center;
+        gap: 4px;
+        font-size: 12px;
+      `;
+      const notify = document.createElement("input");
+      notify.type = "checkbox";
+      notify.checked = entry.notify;
+      notify.addEventListener("change", () => {
+        entry.notify = notify.checked;
+      });
+      notifyLabel.append(notify, "Online alert");
+
+      row.append(
+        color,
+        name,
+        notifyLabel,
+        createPanelButton(
+          "✕",
+          () => {
+            draft.watched.splice(index, 1);
+            render();
+          },
+          "#dc2626",
+        ),
+      );
+      list.appendChild(row);
+    });
+  }
+
+  const addRow = document.createElement("div");
+  addRow.style.cssText = `
+    display: flex;
+    gap: 4px;
+    margin-top: 6px;
+  `;
+
+  const addInput = createPanelInput("", "Player name");
+  addInput.style.flex = "1";
+  addInput.style.minWidth = "0";
+
+  function addPlayer() {
+    const name = sanitizeUsername(addInput.value);
+    const slug = normalizeUsername(name);
+    if (!slug || draft.watched.some((entry) => entry.slug === slug)) return;
+
+    draft.watched.push({
+      slug,
+      name,
+      color: nextWatchColor(draft.watched),
+      notify: false,
+    });
+    addInput.value = "";
+    render();
+  }
+
+  addInput.addEventListener("keydown", (e) => {
+    if (e.key === "Enter") addPlayer();
+  });
+  addRow.append(addInput, createPanelButton("Add", addPlayer));
+
+  render();
+  section.append(list, addRow);
+
+  if (focus === "watched") {
+    setTimeout(() => section.scrollIntoView({ block: "start" }), 0);
+  }
+  return section;
+}
+
+function buildFeatureSection(draft) {
+  const section = createSettingsSection("Features");
+
+  for (const [feature, control] of Object.entries(FEATURE_CONTROLS)) {
+    const label = document.createElement("label");
+    label.style.cssText = `
+      display: flex;
+      align-items: center;
+      gap: 8px;
+      padding: 4px 0;
+    `;
+
+    const checkbox = document.createElement("input");
+    checkbox.type = "checkbox";
+    checkbox.checked = draft.features[feature];
+    checkbox.addEventListener("change", () => {
+      draft.features[feature] = checkbox.checked;
+    });
+
+    label.append(checkbox, control.label);
+    section.appendChild(label);
+  }
+
+  return section;
+}
+
+function buildPinsSection(draft) {
+  const section = createSettingsSection("Pins");
+
+  const label = document.createElement("label");
+  label.style.cssText = `
+    display: flex;
+    align-items: center;
+    gap: 8px;
+  `;
+
+  const checkbox = document.createElement("input");
+  checkbox.type = "checkbox";
+  checkbox.checked = draft.pins.persistent;
+  checkbox.addEventListener("change", () => {
+    draft.pins.persistent = checkbox.checked;
+  });
+
+  label.append(checkbox, "Keep pins and notes after reloading");
+  section.appendChild(label);
+  return section;
+}
+
+function buildWishlistSection(draft) {
+  const section = createSettingsSection("Wishlist");
+  const list = document.createElement("div");
+
+  const hint = document.createElement("div");
+  hint.textContent =
+    "Get an alert when someone sells an item you're buying (at or below your price) or buys one you're selling (at or above it). Quantity and price are optional (0 for any). A quantity skips offers of fewer items; offers that don't say how many still match. A price skips offers that don't state one.";
+  hint.style.cssText = `
+    margin-bottom: 6px;
+    font-size: 12px;
+    color: #6b7280;
+  `;
+
+  const numberInput = (value, placeholder, onChange) => {
+    const input = createPanelInput(value || "", placeholder);
+    input.type = "number";
+    input.min = "0";
+    input.style.width = "70px";
+    input.addEventListener("input", () => {
+      onChange(Math.max(0, Number(input.value) || 0));
+    });
+    return input;
+  };
+
+  function render() {
+    list.replaceChildren();
+
+    if (draft.wishlist.length === 0) {
+      const empty = document.createElement("div");
+      empty.textContent = "Your wishlist is empty.";
+      empty.style.cssText = "color: #8e8e93; margin-bottom: 6px;";
+      list.appendChild(empty);
+    }
+
+    draft.wishlist.forEach((entry, index) => {
+      const row = document.createElement("div");
+      row.style.cssText = `
+        display: flex;
+        flex-wrap: wrap;
+        align-items: center;
+        gap: 4px;
+        margin-bottom: 6px;
+      `;
+
+      const item = document.createElement("span");
+      item.textContent = `((${entry.item}))`;
+      item.style.cssText = `
+        flex: 1;
+        min-width: 100px;
+        overflow: hidden;
+        text-overflow: ellipsis;
+      `;
+
+      const price = numberInput(
+        entry.price,
+        entry.side === "buy" ? "Max price" : "Min price",
+        (value) => {
+          entry.price = value;
+        },
+      );
+      const side = createPanelSelect(
+        WISHLIST_SIDE_OPTIONS,
+        entry.side,
+        (value) => {
+          entry.side = value;
+          price.placeholder = value === "buy" ? "Max price" : "Min price";
+        },
+      );
+
+      row.append(
+        item,
+        side,
+        numberInput(entry.quantity, "Min qty", (value) => {
+          entry.quantity = Math.floor(value);
+        }),
+        price,
+        createPanelSelect(CURRENCY_OPTIONS, entry.currency, (value) => {
+          entry.currency = value;
+        }),
+        createPanelButton(
+          "✕",
+          () => {
+            draft.wishlist.splice(index, 1);
+            render();
+          },
+          "#dc2626",
+        ),
+      );
+      list.appendChild(row);
+    });
+  }
+
+  const addRow = document.createElement("div");
+  addRow.style.cssText = `
+    display: flex;
+    gap: 4px;
+    margin-top: 6px;
+  `;
+
+  const addInput = createPanelInput("", "Item name, e.g. Iron");
+  addInput.style.flex = "1";
+  addInput.style.minWidth = "0";
+
+  function addItem() {
+    const item = addInput.value.replace(/[()]/g, "").trim();
+    if (
+      !item ||
+      draft.wishlist.some((e) => e.item.toLowerCase() === item.toLowerCase())
+    ) {
+      return;
+    }
+
+    draft.wishlist.push({
+      item,
+      side: "buy",
+      quantity: 0,
+      price: 0,
+      currency: "silver",
+    });
+    addInput.value = "";
+    render();
+  }
+
+  addInput.addEventListener("keydown", (e) => {
+    if (e.key === "Enter") addItem();
+  });
+  addRow.append(addInput, createPanelButton("Add", addItem));
+
+  render();
+  section.append(hint, list, addRow);
+  return section;
+}
+
+function openPriceImport(draft, onImport) {
+  const modal = createModal("Import Item Prices");
+
+  const hint = document.createElement("div");
+  hint.textContent =
+    "One item per line: item, price, and optionally silver or gold. Prices like 1200, 1.5k or 20s work.";
+  hint.style.cssText = `
+    margin-bottom: 6px;
+    font-size: 12px;
+    color: #6b7280;
+  `;
+
+  const file = document.createElement("input");
+  file.type = "file";
+  file.accept = "text/csv,.csv,text/plain,.txt";
+  file.style.marginBottom = "6px";
+
+  const textarea = document.createElement("textarea");
+  textarea.placeholder = "…or paste CSV here, e.g.\nIron,20\nGolden Egg,5,gold";
+  textarea.rows = 8;
+  textarea.style.cssText = PANEL_INPUT_STYLE;
+  textarea.style.width = "100%";
+  textarea.style.fontSize = "12px";
+
+  let replace = false;
+  const replaceBox = createPanelCheckbox(
+    "Replace the whole table",
+    false,
+    (checked) => {
+      replace = checked;
+    },
+  );
+
+  const preview = document.createElement("div");
+  preview.style.cssText = `
+    font-size: 13px;
+    white-space: pre-wrap;
+  `;
+
+  let parsed = null;
+  function renderPreview() {
+    parsed = textarea.value.trim() ? parsePriceCsv(textarea.value) : null;
+    preview.textContent = parsed
+      ? [
+          `• ${parsed.items.length} prices found`,
+          ...parsed.warnings.map((warning) => `• ⚠️ ${warning}`),
+        ].join("\n")
+      : "";
+  }
+
+  file.addEventListener("change", async () => {
+    if (!file.files[0]) return;
+    textarea.value = await file.files[0].text();
+    renderPreview();
+  });
+  textarea.addEventListener("input", renderPreview);
+
+  const error = document.createElement("div");
+  error.style.cssText = `
+    flex: 1;
+    align-self: center;
+    color: #dc2626;
+    font-size: 13px;
+  `;
+
+  const importBtn = createPanelButton("Import", () => {
+    if (!parsed || parsed.items.length === 0) {
+      error.textContent = "No prices to import.";
+      return;
+    }
+    if (replace) draft.prices.items = [];
+    mergePriceItems(draft.prices.items, parsed.items);
+    modal.close();
+    onImport();
+  });
+
+  modal.body.append(hint, file, textarea, replaceBox, preview);
+  modal.footer.append(
+    error,
+    createPanelButton("Cancel", modal.close, "#8e8e93"),
+    importBtn,
+  );
+}
+
+function buildPricesSection(draft) {
+  const section = createSettingsSection("Item Prices");
+  const list = document.createElement("div");
+  list.style.cssText = `
+    max-height: 200px;
+    overflow-y: auto;
+  `;
+
+  const showTags = createPanelCheckbox(
+    "Show reference prices next to item links",
+    draft.prices.showTags,
+    (checked) => {
+      draft.prices.showTags = checked;
+    },
+  );
+
+  function render() {
+    list.replaceChildren();
+
+    if (draft.prices.items.length === 0) {
+      const empty = document.createElement("div");
+      empty.textContent = "No prices yet. Add items or import a CSV.";
+      empty.style.cssText = "color: #8e8e93; margin-bottom: 6px;";
+      list.appendChild(empty);
+    }
+
+    draft.prices.items.forEach((entry, index) => {
+      const row = document.createElement("div");
+      row.style.cssText = `
+        display: flex;
+        align-items: center;
+        gap: 4px;
+        margin-bottom: 4px;
+      `;
+
+      const name = document.createElement("span");
+      name.textContent = `((${entry.item}))`;
+      name.style.cssText = `
+        flex: 1;
+        overflow: hidden;
+        text-overflow: ellipsis;
+      `;
+
+      const price = createPanelInput(String(entry.price), "Price");
+      price.style.width = "80px";
+      price.addEventListener("input", () => {
+        const parsed = parsePriceInput(price.value);
+        if (parsed) entry.price = parsed.price;
+      });
+
+      row.append(
+        name,
+        price,
+        createPanelSelect(CURRENCY_OPTIONS, entry.currency, (value) => {
+          entry.currency = value;
+        }),
+        createPanelButton(
+          "✕",
+          () => {
+            draft.prices.items.splice(index, 1);
+            render();
+          },
+          "#dc2626",
+        ),
+      );
+      list.appendChild(row);
+    });
+  }
+
+  const addRow = document.createElement("div");
+  addRow.style.cssText = `
+    display: flex;
+    gap: 4px;
+    margin-top: 6px;
+  `;
+
+  const addItemInput = createPanelInput("", "Item name");
+  addItemInput.style.flex = "1";
+  addItemInput.style.minWidth = "0";
+  const addPriceInput = createPanelInput("", "Price");
+  addPriceInput.style.width = "80px";
+
+  function addPrice() {
+    const item = addItemInput.value.replace(/[()]/g, "").trim();
+    const parsed = parsePriceInput(addPriceInput.value);
+    if (!item || !parsed) return;
+
+    mergePriceItems(draft.prices.items, [{ item, ...parsed }]);
+    addItemInput.value = addPriceInput.value = "";
+    render();
+  }
+
+  for (const input of [addItemInput, addPriceInput]) {
+    input.addEventListener("keydown", (e) => {
+      if (e.key === "Enter") addPrice();
+    });
+  }
+  addRow.append(
+    addItemInput,
+    addPriceInput,
+    createPanelButton("Add", addPrice),
+    createPanelButton(
+      "Import CSV…",
+      () => openPriceImport(draft, render),
+      "#6b7280",
+    ),
+  );
+
+  render();
+  section.append(showTags, list, addRow);
+  return section;
+}
+
+function buildTradeSection(draft) {
+  const section = createSettingsSection("Trade Board");
+  section.appendChild(
+    createNumberField(
+      "Keep offers for (minutes)",
+      draft.trade.expiryMinutes,
+      (value) => {
+        draft.trade.expiryMinutes = value;
+      },
+    ),
+  );
+  return section;
+}
+
+function buildSoundSection(draft) {
+  const section = createSettingsSection("Sounds");
+  const { sound } = draft;
+
+  const toggles = document.createElement("div");
+  toggles.style.cssText = `
+    display: flex;
+    flex-wrap: wrap;
+    gap: 12px;
+  `;
+  toggles.append(
+    createPanelCheckbox("Play sound alerts", sound.enabled, (checked) => {
+      sound.enabled = checked;
+    }),
+    createPanelCheckbox(
+      "Also while this tab is focused",
+      sound.whenFocused,
+      (checked) => {
+        sound.whenFocused = checked;
+      },
+    ),
+  );
+
+  const volumeRow = document.createElement("label");
+  volumeRow.style.cssText = `
+    display: flex;
+    align-items: center;
+    gap: 8px;
+    padding: 6px 0;
+  `;
+  const volume = document.createElement("input");
+  volume.type = "range";
+  volume.min = "0";
+  volume.max = "100";
+  volume.value = String(Math.round(sound.volume * 100));
+  volume.style.flex = "1";
+  volume.addEventListener("input", () => {
+    sound.volume = Number(volume.value) / 100;
+  });
+  volumeRow.append("Volume", volume);
+
+  // Test tones at the draft volume, even while muted
+  const tests = document.createElement("div");
+  tests.style.cssText = `
+    display: flex;
+    flex-wrap: wrap;
+    gap: 4px;
+  `;
+  for (const option of TONE_OPTIONS) {
+    tests.appendChild(
+      createPanelButton(`▶ ${option.label}`, () =>
+        playAlertSound(option.value, { force: true, volume: sound.volume }),
+      ),
+    );
+  }
+
+  section.append(toggles, volumeRow, tests);
+  return section;
+}
+
+function buildQuietHoursSection(draft) {
+  const section = createSettingsSection("Quiet Hours");
+  const { quietHours } = draft;
+
+  const row = document.createElement("div");
+  row.style.cssText = `
+    display: flex;
+    align-items: center;
+    gap: 6px;
+  `;
+
+  const timeInput = (key) => {
+    const input = createPanelInput(quietHours[key], "HH:MM");
+    input.style.width = "70px";
+    input.addEventListener("input", () => {
+      quietHours[key] = input.value.trim();
+    });
+    return input;
+  };
+
+  row.append(
+    createPanelCheckbox(
+      "Silence notifications from",
+      quietHours.enabled,
+      (checked) => {
+        quietHours.enabled = checked;
+      },
+    ),
+    timeInput("from"),
+    "to",
+    timeInput("to"),
+  );
+
+  const hint = document.createElement("div");
+  hint.textContent =
+    'Messages are still highlighted. Tick "Ignore quiet hours" on a rule (e.g. Mentions) to let it through.';
+  hint.style.cssText = `
+    margin-top: 4px;
+    color: #8e8e93;
+    font-size: 12px;
+  `;
+
+  section.append(row, hint);
+  return section;
+}
+
+/**
+ * Format a byte count for display
+ */
+function formatBytes(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+}
+
+/**
+ * Create a labelled number input bound to a draft field
+ */
+function createNumberField(labelText, value, onChange) {
+  const label = document.createElement("label");
+  label.style.cssText = `
+    display: flex;
+    align-items: center;
+    justify-content: space-between;
+    gap: 8px;
+    padding: 4px 0;
+  `;
+
+  const input = document.createElement("input");
+  input.type = "number";
+  input.min = "0";
+  input.value = value;
+  input.style.cssText = PANEL_INPUT_STYLE;
+  input.style.width = "100px";
+  input.addEventListener("input", () => {
+    onChange(Math.max(0, Math.floor(Number(input.value) || 0)));
+  });
+
+  label.append(labelText, input);
+  return label;
+}
+
+function buildProfilesSection() {
+  const section = createSettingsSection("Account Profiles");
+
+  const current = document.createElement("div");
+  current.style.cssText = `
+    margin-bottom: 6px;
+    font-size: 12px;
+    color: #6b7280;
+  `;
+  const profiles = loadProfiles();
+  current.textContent = state.account
+    ? `Settings, pins and history below belong to ${profiles.accounts[state.account]?.name || state.account}.`
+    : "Logged-in account not detected; using shared settings.";
+  section.appendChild(current);
+
+  const others = Object.entries(profiles.accounts).filter(
+    ([account]) => account !== state.account,
+  );
+  if (others.length === 0) {
+    const empty = document.createElement("div");
+    empty.textContent = "Other accounts appear here after you log into them.";
+    empty.style.cssText = "color: #8e8e93;";
+    section.appendChild(empty);
+  }
+
+  for (const [account, profile] of others) {
+    const row = document.createElement("div");
+    row.style.cssText = `
+      display: flex;
+      align-items: center;
+      gap: 6px;
+      margin-bottom: 4px;
+    `;
+
+    const name = document.createElement("span");
+    name.textContent = profile.name;
+    name.style.flex = "1";
+
+    row.append(
+      name,
+      createPanelButton(
+        "Copy settings here",
+        () => {
+          if (
+            !confirm(
+              `Replace this account's settings with ${profile.name}'s? Pins and history are not copied.`,
+            )
+          ) {
+            return;
+          }
+          // The open panel's draft is stale once settings are replaced
+          document.querySelector(".chat-settings-panel")?.remove();
+          if (!copyProfileSettings(account)) {
+            showToast(`${profile.name} has no saved settings yet`);
+          }
+          openSettingsPanel();
+        },
+        "#6b7280",
+      ),
+      createPanelButton(
+        "✕",
+        () => {
+          if (
+            !confirm(
+              `Delete ${profile.name}'s settings, pins and chat history from this device?`,
+            )
+          ) {
+            return;
+          }
+          deleteProfile(account);
+          row.remove();
+        },
+        "#dc2626",
+      ),
+    );
+    section.appendChild(row);
+  }
+
+  return section;
+}
+
+function buildArchiveSection(draft) {
+  const section = createSettingsSection("Chat History");
+
+  const enabledLabel = document.createElement("label");
+  enabledLabel.style.cssText = `
+    display: flex;
+    align-items: center;
+    gap: 8px;
+    padding: 4px 0;
+  `;
+  const enabled = document.createElement("input");
+  enabled.type = "checkbox";
+  enabled.checked = draft.archive.enabled;
+  enabled.addEventListener("change", () => {
+    draft.archive.enabled = enabled.checked;
+  });
+  enabledLabel.append(enabled, "Save chat history on this device");
+
+  const stats = document.createElement("div");
+  stats.style.cssText = `
+    margin: 6px 0;
+    font-size: 12px;
+    color: #6b7280;
+  `;
+
+  function refreshStats() {
+    stats.textContent = "Measuring storage…";
+    getArchiveStats()
+      .then(({ count, bytes, oldest }) => {
+        const since = oldest
+          ? `, since ${new Date(oldest).toLocaleDateString()}`
+          : "";
+        stats.textContent = `${count} messages stored (about ${formatBytes(bytes)}${since})`;
+      })
+      .catch(() => {
+        stats.textContent = "Chat history storage is unavailable.";
+      });
+  }
+
+  const purgeBtn = createPanelButton(
+    "Purge history",
+    async () => {
+      if (!confirm("Delete all saved chat history from this device?")) return;
+      try {
+        await purgeArchive();
+      } catch (e) {
+        console.error("[Chat] Failed to purge archive:", e);
+      }
+      refreshStats();
+    },
+    "#dc2626",
+  );
+
+  section.append(
+    enabledLabel,
+    createNumberField(
+      "Keep for (days, 0 = forever)",
+      draft.archive.retentionDays,
+      (value) => {
+        draft.archive.retentionDays = value;
+      },
+    ),
+    createNumberField(
+      "Keep at most (messages, 0 = no limit)",
+      draft.archive.maxMessages,
+      (value) => {
+        draft.archive.maxMessages = value;
+      },
+    ),
+    stats,
+    purgeBtn,
+  );
+
+  refreshStats();
+  return section;
+}
+
+// Each builder receives the draft settings and the requested focus target
+const SETTINGS_SECTIONS = [
+  buildUsernameSection,
+  buildKeywordSection,
+  buildRulesSection,
+  buildSoundSection,
+  buildQuietHoursSection,
+  buildIgnoreSection,
+  buildWatchedSection,
+  buildFeatureSection,
+  buildPinsSection,
+  buildWishlistSection,
+  buildPricesSection,
+  buildTradeSection,
+  buildArchiveSection,
+  buildProfilesSection,
+  buildSharingSection,
+];
+
+/**
+ * Check a draft before saving. Returns an error message or null.
+ */
+function validateSettingsDraft(draft) {
+  if (
+    (draft.features.mentions || draft.features.highlighting) &&
+    !draft.username
+  ) {
+    return "Enter your username to use mention notifications or highlighting.";
+  }
+  const keywordRule = getBuiltinRule(draft, "keywords");
+  if (draft.features.keywords && keywordRule.conditions.keywords.length === 0) {
+    return "Add at least one keyword to enable keyword alerts.";
+  }
+  for (const rule of draft.rules) {
+    for (const keyword of rule.conditions.keywords) {
+      try {
+        getKeywordPattern(keyword);
+      } catch (e) {
+        return `Invalid regular expression "${keyword.term}": ${e.message}`;
+      }
+    }
+
+    const { timeFrom, timeTo } = rule.conditions;
+    if (
+      (timeFrom || timeTo) &&
+      !(isValidTime(timeFrom) && isValidTime(timeTo))
+    ) {
+      return `Rule "${rule.name}" needs both times as HH:MM.`;
+    }
+  }
+  const { quietHours } = draft;
+  if (
+    quietHours.enabled &&
+    !(isValidTime(quietHours.from) && isValidTime(quietHours.to))
+  ) {
+    return "Quiet hours need both times as HH:MM.";
+  }
+  if (draft.trade.expiryMinutes < 1) {
+    return "Keep trade offers for at least 1 minute.";
+  }
+  return null;
+}
+
+/**
+ * Apply an edited copy of the settings and start/stop features to match
+ */
+function applySettings(draft) {
+  const usernameChanged = draft.username !== state.settings.username;
+
+  state.username = draft.username;
+  saveUsername(draft.username);
+
+  state.settings.rules = draft.rules;
+  state.settings.quietHours = draft.quietHours;
+  state.settings.sound = draft.sound;
+  state.settings.mentions = draft.mentions;
+  loadKeywords();
+  saveSettings();
+
+  state.settings.pins = draft.pins;
+  savePins();
+
+  state.settings.ignored = draft.ignored;
+  state.settings.watched = draft.watched;
+  state.settings.wishlist = draft.wishlist;
+  state.settings.prices = draft.prices;
+  state.settings.trade = draft.trade;
+  saveSettings();
+  refreshIgnoredMessages();
+  refreshWatchedMessages();
+
+  const archiveChanged =
+    JSON.stringify(draft.archive) !== JSON.stringify(state.settings.archive);
+  state.settings.archive = draft.archive;
+  saveSettings();
+  if (archiveChanged) {
+    startArchive();
+    pruneArchive();
+  }
+
+  // Re-highlight under the new name
+  if (usernameChanged && state.features.highlighting) {
+    stopHighlighter();
+    startHighlighter();
+  }
+
+  for (const [feature, control] of Object.entries(FEATURE_CONTROLS)) {
+    if (draft.features[feature] && !state.features[feature]) control.start();
+    if (!draft.features[feature] && state.features[feature]) control.stop();
+    persistFeature(feature);
+  }
+
+  refreshAlertHighlights();
+  refreshPriceTags();
+  refreshTradeBoard();
+  syncAllFeatureButtons();
+  console.log("[Chat] Settings applied");
+}
+
+/**
+ * Open the settings panel.
+ * options.focus: "username" | "keywords" | "watched" - field to focus
+ * options.enable: feature to pre-check, used when a feature needs setup first
+ */
+function openSettingsPanel(options = {}) {
+  // Only one settings panel at a time
+  document.querySelector(".chat-settings-panel")?.remove();
+
+  const draft = JSON.parse(JSON.stringify(state.settings));
+  draft.features = { ...state.features };
+  if (options.enable) draft.features[options.enable] = true;
+
+  const modal = createModal("Chat Enhancer Settings");
+  modal.overlay.classList.add("chat-settings-panel");
+
+  for (const buildSection of SETTINGS_SECTIONS) {
+    modal.body.appendChild(buildSection(draft, options.focus));
+  }
+
+  const error = document.createElement("div");
+  error.style.cssText = `
+    flex: 1;
+    align-self: center;
+    color: #dc2626;
+    font-size: 13px;
+  `;
+
+  const cancelBtn = createPanelButton("Cancel", modal.close, "#8e8e93");
+  const saveBtn = createPanelButton("Save", () => {
+    for (const rule of draft.rules) {
+      rule.conditions.keywords = rule.conditions.keywords
+        .map(normalizeKeyword)
+        .filter((k) => k);
+    }
+
+    const problem = validateSettingsDraft(draft);
+    if (problem) {
+      error.textContent = problem;
+      return;
+    }
+
+    applySettings(draft);
+    modal.close();
+  });
+
+  modal.footer.append(error, cancelBtn, saveBtn);
+}
+
+// ============================================================================
+// SETTINGS SHARING
+// ============================================================================
+
+// Settings carried in an export. The username stays behind, so a file can be
+// shared with teammates.
+const EXPORT_FIELDS = [
+  "rules",
+  "features",
+  "pins",
+  "ignored",
+  "watched",
+  "mentions",
+  "sound",
+  "quietHours",
+  "wishlist",
+  "prices",
+  "trade",
+  "archive",
+];
+
+const isPlainObject = (value) =>
+  Boolean(value) && typeof value === "object" && !Array.isArray(value);
+
+const HEX_COLOR_PATTERN = /^#[0-9a-f]{6}$/i;
+
+/**
+ * Download the current settings as a JSON file
+ */
+function exportSettings() {
+  const settings = { version: state.settings.version };
+  for (const field of EXPORT_FIELDS) settings[field] = state.settings[field];
+
+  const data = {
+    app: "farmrpg-chat-enhancer",
+    exportedAt: new Date().toISOString(),
+    settings,
+  };
+
+  downloadFile(
+    `farmrpg-chat-settings-${getDateStamp()}.json`,
+    JSON.stringify(data, null, 2),
+    "application/json",
+  );
+
+  console.log("[Chat] Exported settings");
+}
+
+/**
+ * Whether a regular expression repeats a group that already holds a
+ * repetition, e.g. (a+)+ or (\w*x)*, which can backtrack for minutes on a
+ * single chat line
+ */
+function hasNestedQuantifier(source) {
+  const isQuantifier = (i) =>
+    source[i] === "*" ||
+    source[i] === "+" ||
+    (source[i] === "{" && /^\{\d+(,\d*)?\}/.test(source.slice(i)));
+
+  // One flag per open group: whether it holds a quantifier
+  const groups = [false];
+  for (let i = 0; i < source.length; i++) {
+    const ch = source[i];
+    if (ch === "\\") {
+      i++;
+    } else if (ch === "[") {
+      // Quantifier characters in a class are literal
+      for (i++; i < source.length && source[i] !== "]"; i++) {
+        if (source[i] === "\\") i++;
+      }
+    } else if (ch === "(") {
+      groups.push(false);
+    } else if (ch === ")") {
+      const inner = groups.length > 1 && groups.pop();
+      if (inner && isQuantifier(i + 1)) return true;
+      if (inner || isQuantifier(i + 1)) groups[groups.length - 1] = true;
+    } else if (isQuantifier(i)) {
+      groups[groups.length - 1] = true;
+    }
+  }
+  return false;
+}
+
+/**
+ * Keep the valid keyword entries of an imported list
+ */
+function sanitizeImportedKeywords(keywords, warnings) {
+  if (!Array.isArray(keywords)) return [];
+
+  const result = [];
+  for (const entry of keywords) {
+    const keyword =
+      isPlainObject(entry) && typeof entry.term === "string"
+        ? normalizeKeyword({
+            term: entry.term,
+            scope: KEYWORD_SCOPE_OPTIONS.some((o) => o.value === entry.scope)
+              ? entry.scope
+              : "both",
+            mode: KEYWORD_MODE_OPTIONS.some((o) => o.value === entry.mode)
+              ? entry.mode
+              : "substring",
+            exclude: Array.isArray(entry.exclude)
+              ? entry.exclude.filter((term) => typeof term === "string")
+              : [],
+          })
+        : null;
+    if (!keyword) {
+      warnings.push("Skipped a malformed keyword");
+      continue;
+    }
+
+    // Shared settings could carry a pattern that freezes chat
+    if (
+      keyword.mode === "regex" &&
+      (keyword.term.length > CONFIG.MAX_IMPORTED_REGEX_LENGTH ||
+        hasNestedQuantifier(keyword.term))
+    ) {
+      warnings.push(
+        `Skipped regular expression "${keyword.term.slice(0, 40)}", which could freeze the chat`,
+      );
+      continue;
+    }
+
+    try {
+      getKeywordPattern(keyword);
+      result.push(keyword);
+    } catch (e) {
+      warnings.push(`Skipped invalid regular expression "${keyword.term}"`);
+    }
+  }
+  return result;
+}
+
+/**
+ * Coerce an imported rule to the rule shape. Returns null if unusable.
+ */
+function sanitizeImportedRule(rule, warnings) {
+  if (!isPlainObject(rule) || typeof rule.id !== "string") {
+    warnings.push("Skipped a malformed alert rule");
+    return null;
+  }
+
+  const conditions = isPlainObject(rule.conditions) ? rule.conditions : {};
+  const actions = isPlainObject(rule.actions) ? rule.actions : {};
+  const text = (value) => (typeof value === "string" ? value : "");
+  const builtin = ["mentions", "keywords", "wishlist"].includes(rule.builtin)
+    ? rule.builtin
+    : undefined;
+
+  return createRule({
+    id: builtin || rule.id,
+    ...(builtin && { builtin }),
+    name: text(rule.name) || "Imported rule",
+    enabled: rule.enabled !== false,
+    conditions: {
+      author: text(conditions.author),
+      mentionsMe: conditions.mentionsMe === true,
+      item: text(conditions.item),
+      wishlist: conditions.wishlist === true,
+      keywords: sanitizeImportedKeywords(conditions.keywords, warnings),
+      channel: text(conditions.channel),
+      timeFrom: isValidTime(conditions.timeFrom) ? conditions.timeFrom : "",
+      timeTo: isValidTime(conditions.timeTo) ? conditions.timeTo : "",
+    },
+    actions: {
+      notify: actions.notify !== false,
+      color: HEX_COLOR_PATTERN.test(actions.color) ? actions.color : "",
+      badge: text(actions.badge),
+      sound: actions.sound === true,
+      tone: actions.tone in SOUND_TONES ? actions.tone : "keyword",
+      pin: actions.pin === true,
+      rateLimit: Number.isFinite(Number(actions.rateLimit))
+        ? Math.max(0, Math.floor(Number(actions.rateLimit)))
+        : 0,
+      bypassQuietHours: actions.bypassQuietHours === true,
+    },
+  });
+}
+
+/**
+ * Parse and validate exported settings text. Only known fields with the
+ * right shape get through; anything else is dropped with a warning.
+ * Returns { settings, warnings } or throws an Error with a readable message.
+ */
+function parseSettingsImport(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (e) {
+    throw new Error("This isn't valid JSON.");
+  }
+
+  // Accept a full export or a bare settings object
+  const raw = isPlainObject(data?.settings) ? data.settings : data;
+  if (!isPlainObject(raw)) throw new Error("No settings found in the file.");
+
+  const version = Number(raw.version) || 1;
+  if (version > CONFIG.SETTINGS_VERSION) {
+    throw new Error("These settings come from a newer version of the script.");
+  }
+
+  const warnings = [];
+  const picked = { version };
+  for (const field of [...EXPORT_FIELDS, "keywords"]) {
+    if (field in raw) picked[field] = raw[field];
+  }
+  for (const field of [
+    "features",
+    "pins",
+    "mentions",
+    "sound",
+    "quietHours",
+    "prices",
+    "trade",
+    "archive",
+  ]) {
+    if (field in picked && !isPlainObject(picked[field])) {
+      warnings.push(`Ignored malformed "${field}" settings`);
+      delete picked[field];
+    }
+  }
+  // Older versions kept keywords outside the rules; v1 as plain strings.
+  // Their entries are checked once migrated into the keywords rule.
+  for (const field of ["rules", "ignored", "watched", "wishlist", "keywords"]) {
+    if (field in picked && !Array.isArray(picked[field])) {
+      warnings.push(`Ignored malformed "${field}" list`);
+      delete picked[field];
+    }
+  }
+  if (version === 1 && picked.keywords) {
+    picked.keywords = picked.keywords.filter((k) => typeof k === "string");
+  }
+
+  const migrated = migrateSettings(picked);
+  const defaults = createDefaultSettings();
+  const settings = { version: CONFIG.SETTINGS_VERSION };
+
+  settings.rules = migrated.rules
+    .map((rule) => sanitizeImportedRule(rule, warnings))
+    .filter((rule) => rule);
+  normalizeRules(settings);
+
+  settings.features = {};
+  for (const feature of Object.keys(FEATURE_CONTROLS)) {
+    settings.features[feature] = migrated.features[feature] === true;
+  }
+  settings.pins = { persistent: migrated.pins.persistent === true };
+
+  settings.ignored = migrated.ignored
+    .filter((entry) => isPlainObject(entry) && typeof entry.name === "string")
+    .map((entry) => ({
+      slug: normalizeUsername(entry.name),
+      name: sanitizeUsername(entry.name),
+      mode: IGNORE_MODE_OPTIONS.some((o) => o.value === entry.mode)
+        ? entry.mode
+        : "collapse",
+    }))
+    .filter((entry) => entry.slug);
+
+  settings.watched = [];
+  for (const entry of migrated.watched) {
+    if (!isPlainObject(entry) || typeof entry.name !== "string") continue;
+    const slug = normalizeUsername(entry.name);
+    if (!slug) continue;
+    settings.watched.push({
+      slug,
+      name: sanitizeUsername(entry.name),
+      color: HEX_COLOR_PATTERN.test(entry.color)
+        ? entry.color
+        : nextWatchColor(settings.watched),
+      notify: entry.notify === true,
+    });
+  }
+
+  settings.wishlist = [];
+  for (const entry of migrated.wishlist) {
+    if (!isPlainObject(entry) || typeof entry.item !== "string") continue;
+    const item = entry.item.replace(/[()]/g, "").trim();
+    if (!item) continue;
+    const amount = (value) =>
+      Number.isFinite(Number(value)) ? Math.max(0, Number(value)) : 0;
+    settings.wishlist.push({
+      item,
+      side: entry.side === "sell" ? "sell" : "buy",
+      quantity: Math.floor(amount(entry.quantity)),
+      price: amount(entry.price),
+      currency: entry.currency === "gold" ? "gold" : "silver",
+    });
+  }
+
+  const { mentions, sound, quietHours, prices, trade, archive } = migrated;
+  settings.mentions = {
+    aliases: Array.isArray(mentions.aliases)
+      ? mentions.aliases
+          .filter((alias) => typeof alias === "string")
+          .map(sanitizeUsername)
+          .filter((alias) => alias)
+      : [],
+    atPriority: mentions.atPriority === true,
+  };
+  settings.sound = {
+    enabled: sound.enabled === true,
+    volume: Math.min(1, Math.max(0, Number(sound.volume) || 0)),
+    whenFocused: sound.whenFocused === true,
+  };
+  settings.quietHours = {
+    enabled: quietHours.enabled === true,
+    from: isValidTime(quietHours.from)
+      ? quietHours.from
+      : defaults.quietHours.from,
+    to: isValidTime(quietHours.to) ? quietHours.to : defaults.quietHours.to,
+  };
+  const count = (value, fallback) =>
+    Number.isFinite(Number(value))
+      ? Math.max(0, Math.floor(Number(value)))
+      : fallback;
+  settings.prices = { showTags: prices.showTags !== false, items: [] };
+  if (Array.isArray(prices.items)) {
+    const items = [];
+    for (const entry of prices.items) {
+      const item = isPlainObject(entry) && typeof entry.item === "string";
+      const price = Number(entry?.price);
+      if (!item || !entry.item.trim() || !Number.isFinite(price) || price < 0) {
+        warnings.push("Skipped a malformed item price");
+        continue;
+      }
+      items.push({
+        item: entry.item.replace(/[()]/g, "").trim(),
+        price,
+        currency: entry.currency === "gold" ? "gold" : "silver",
+      });
+    }
+    mergePriceItems(settings.prices.items, items);
+  }
+  settings.trade = {
+    expiryMinutes:
+      count(trade.expiryMinutes, defaults.trade.expiryMinutes) ||
+      defaults.trade.expiryMinutes,
+  };
+  settings.archive = {
+    enabled: archive.enabled !== false,
+    retentionDays: count(archive.retentionDays, defaults.archive.retentionDays),
+    maxMessages: count(archive.maxMessages, defaults.archive.maxMessages),
+  };
+
+  return { settings, warnings };
+}
+
+/**
+ * Combine imported settings with the current ones. Replace takes every
+ * imported setting; merge adds imported keywords, rules and players to the
+ * existing lists and keeps all other current settings.
+ */
+function combineImportedSettings(imported, mode) {
+  const next = JSON.parse(JSON.stringify(state.settings));
+
+  if (mode === "replace") {
+    for (const field of EXPORT_FIELDS) next[field] = imported[field];
+    return next;
+  }
+
+  for (const rule of imported.rules) {
+    const existing = rule.builtin
+      ? getBuiltinRule(next, rule.builtin)
+      : next.rules.find((r) => r.id === rule.id);
+    if (!existing) {
+      next.rules.push(rule);
+      continue;
+    }
+
+    // Matching rules gain the imported keywords they don't have yet
+    const keywords = existing.conditions.keywords;
+    for (const keyword of rule.conditions.keywords) {
+      if (
+        !keywords.some(
+          (k) => k.term === keyword.term && k.mode === keyword.mode,
+        )
+      ) {
+        keywords.push(keyword);
+      }
+    }
+  }
+
+  for (const field of ["ignored", "watched"]) {
+    for (const entry of imported[field]) {
+      if (!next[field].some((existing) => existing.slug === entry.slug)) {
+        next[field].push(entry);
+      }
+    }
+  }
+  mergePriceItems(next.prices.items, imported.prices.items);
+  for (const entry of imported.wishlist) {
+    const item = entry.item.toLowerCase();
+    if (
+      !next.wishlist.some((existing) => existing.item.toLowerCase() === item)
+    ) {
+      next.wishlist.push(entry);
+    }
+  }
+  return next;
+}
+
+/**
+ * Human-readable list of what applying next would change
+ */
+function describeSettingsChanges(current, next) {
+  const changes = [];
+
+  const keywordTerms = (settings) =>
+    getBuiltinRule(settings, "keywords").conditions.keywords.map((k) => k.term);
+  const listChanges = (label, before, after) => {
+    const added = after.filter((value) => !before.includes(value));
+    const removed = before.filter((value) => !after.includes(value));
+    if (added.length > 0) changes.push(`${label} added: ${added.join(", ")}`);
+    if (removed.length > 0) {
+      changes.push(`${label} removed: ${removed.join(", ")}`);
+    }
+  };
+
+  listChanges("Keywords", keywordTerms(current), keywordTerms(next));
+  listChanges(
+    "Rules",
+    current.rules.filter((r) => !r.builtin).map((r) => r.name),
+    next.rules.filter((r) => !r.builtin).map((r) => r.name),
+  );
+  listChanges(
+    "Ignored players",
+    current.ignored.map((entry) => entry.name),
+    next.ignored.map((entry) => entry.name),
+  );
+  listChanges(
+    "Watched players",
+    current.watched.map((entry) => entry.name),
+    next.watched.map((entry) => entry.name),
+  );
+  listChanges(
+    "Wishlist",
+    current.wishlist.map((entry) => entry.item),
+    next.wishlist.map((entry) => entry.item),
+  );
+  listChanges(
+    "Item prices",
+    current.prices.items.map((entry) => entry.item),
+    next.prices.items.map((entry) => entry.item),
+  );
+
+  for (const field of [
+    "features",
+    "pins",
+    "mentions",
+    "sound",
+    "quietHours",
+    "prices",
+    "trade",
+    "archive",
+  ]) {
+    if (JSON.stringify(current[field]) !== JSON.stringify(next[field])) {
+      changes.push(
+        `${field === "quietHours" ? "Quiet hours" : field[0].toUpperCase() + field.slice(1)} settings change`,
+      );
+    }
+  }
+  return changes;
+}
+
+function openImportPanel() {
+  const modal = createModal("Import Settings");
+
+  const file = document.createElement("input");
+  file.type = "file";
+  file.accept = "application/json,.json";
+  file.style.marginBottom = "6px";
+
+  const textarea = document.createElement("textarea");
+  textarea.placeholder = "…or paste exported settings here";
+  textarea.rows = 6;
+  textarea.style.cssText = PANEL_INPUT_STYLE;
+  textarea.style.width = "100%";
+  textarea.style.fontSize = "12px";
+
+  const modeSelect = createPanelSelect(
+    [
+      { value: "merge", label: "Merge into my settings" },
+      { value: "replace", label: "Replace my settings" },
+    ],
+    "merge",
+    () => renderPreview(),
+  );
+  modeSelect.style.margin = "6px 0";
+
+  const preview = document.createElement("div");
+  preview.style.cssText = `
+    font-size: 13px;
+    white-space: pre-wrap;
+  `;
+
+  let next = null;
+
+  function renderPreview() {
+    next = null;
+    preview.replaceChildren();
+    preview.style.color = "#222";
+    if (!textarea.value.trim()) return;
+
+    let parsed;
+    try {
+      parsed = parseSettingsImport(textarea.value);
+    } catch (e) {
+      preview.style.color = "#dc2626";
+      preview.textContent = e.message;
+      return;
+    }
+
+    next = combineImportedSettings(parsed.settings, modeSelect.value);
+    const changes = describeSettingsChanges(state.settings, next);
+    const lines = changes.length > 0 ? changes : ["No changes."];
+    for (const warning of parsed.warnings) lines.push(`⚠️ ${warning}`);
+    preview.textContent = lines.map((line) => `• ${line}`).join("\n");
+  }
+
+  file.addEventListener("change", async () => {
+    if (!file.files[0]) return;
+    textarea.value = await file.files[0].text();
+    renderPreview();
+  });
+  textarea.addEventListener("input", renderPreview);
+
+  const error = document.createElement("div");
+  error.style.cssText = `
+    flex: 1;
+    align-self: center;
+    color: #dc2626;
+    font-size: 13px;
+  `;
+
+  const importBtn = createPanelButton("Import", () => {
+    if (!next) {
+      error.textContent = "Choose a file or paste settings first.";
+      return;
+    }
+    const problem = validateSettingsDraft(next);
+    if (problem) {
+      error.textContent = problem;
+      return;
+    }
+
+    // The settings panel's draft is stale once settings are replaced
+    document.querySelector(".chat-settings-panel")?.remove();
+    applySettings(next);
+    modal.close();
+    showToast("Settings imported", null, null, 3000);
+  });
+
+  modal.body.append(file, textarea, modeSelect, preview);
+  modal.footer.append(
+    error,
+    createPanelButton("Cancel", modal.close, "#8e8e93"),
+    importBtn,
+  );
+}
+
+function buildSharingSection() {
+  const section = createSettingsSection("Backup & Sharing");
+
+  const hint = document.createElement("div");
+  hint.textContent =
+    "Save your keywords, rules and player lists to a file, or load a file a teammate shared. Your username is never included.";
+  hint.style.cssText = `
+    margin-bottom: 6px;
+    font-size: 12px;
+    color: #6b7280;
+  `;
+
+  const buttons = document.createElement("div");
+  buttons.style.cssText = `
+    display: flex;
+    gap: 4px;
+  `;
+  buttons.append(
+    createPanelButton("Export…", exportSettings, "#6b7280"),
+    createPanelButton("Import…", openImportPanel, "#6b7280"),
+  );
+
+  section.append(hint, buttons);
+  return section;
+}
+
+// ============================================================================
+// PINS PANEL
+// ============================================================================
+
+/**
+ * Find the on-screen element for a message id, if it is still in the buffer
+ */
+function findMessageElement(messageId) {
+  for (const msg of document.querySelectorAll(".chat-txt")) {
+    if (getMessageId(msg) === messageId) return msg;
+  }
+  return null;
+}
+
+/**
+ * Briefly outline a message to draw the eye to it
+ */
+function flashMessage(messageElement) {
+  messageElement.style.outline = `3px solid ${CONFIG.MARKER_COLOR}`;
+  setTimeout(() => {
+    messageElement.style.outline = "";
+  }, 1500);
+}
+
+/**
+ * Scroll the chat to a message and flash it. Returns false if the message has
+ * left the chat buffer.
+ */
+function jumpToMessage(messageId) {
+  const messageElement = findMessageElement(messageId);
+  if (!messageElement) return false;
+
+  messageElement.scrollIntoView({ behavior: "smooth", block: "center" });
+  flashMessage(messageElement);
+  return true;
+}
+
+function createPinRow(pin) {
+  const row = document.createElement("div");
+  row.style.cssText = `
+    margin-bottom: 10px;
+    padding: 8px;
+    border: ${CONFIG.MARKER_BORDER};
+    border-radius: 6px;
+    background: ${CONFIG.MARKER_BG};
+  `;
+
+  const meta = document.createElement("div");
+  meta.style.cssText = `
+    font-size: 12px;
+    color: #6b7280;
+  `;
+  meta.textContent = [pin.timestamp, pin.author || "System", pin.channel]
+    .filter((part) => part)
+    .join(" · ");
+
+  const text = document.createElement("div");
+  text.style.cssText = `
+    margin: 4px 0;
+    word-break: break-word;
+  `;
+  text.textContent = pin.text;
+  if (pin.items.length > 0) {
+    text.textContent += ` ${pin.items.map((item) => `((${item}))`).join(" ")}`;
+  }
+
+  const note = createPanelInput(pin.note, "Add a note…");
+  note.style.width = "100%";
+  note.addEventListener("change", () => {
+    pin.note = note.value.trim();
+    savePins();
+  });
+
+  const actions = document.createElement("div");
+  actions.style.cssText = `
+    display: flex;
+    gap: 4px;
+    margin-top: 6px;
+  `;
+
+  const onScreen = Boolean(findMessageElement(pin.id));
+  const jumpBtn = createPanelButton("Jump to message", () =>
+    jumpToMessage(pin.id),
+  );
+  jumpBtn.disabled = !onScreen;
+  if (!onScreen) {
+    jumpBtn.title = "No longer in the chat buffer";
+    jumpBtn.style.opacity = "0.5";
+  }
+
+  actions.append(
+    jumpBtn,
+    createPanelButton("Delete", () => deletePin(pin.id), "#dc2626"),
+  );
+
+  row.append(meta, text, note, actions);
+  return row;
+}
+
+function renderPinsPanel() {
+  const { body, allChannels } = state.ui.pinsPanel;
+  body.replaceChildren();
+
+  // Pins from before channel tracking have no channel and always show
+  const channel = (state.activeChannel || "").toLowerCase();
+  const pins = Array.from(state.markedMessages.values())
+    .filter(
+      (pin) =>
+        allChannels || !pin.channel || pin.channel.toLowerCase() === channel,
+    )
+    .sort((a, b) => b.pinnedAt - a.pinnedAt);
+
+  if (pins.length === 0) {
+    const empty = document.createElement("div");
+    empty.textContent = allChannels
+      ? "No pinned messages."
+      : "No pinned messages in this channel.";
+    empty.style.color = "#8e8e93";
+    body.appendChild(empty);
+  }
+
+  for (const pin of pins) {
+    body.appendChild(createPinRow(pin));
+  }
+
+  if (state.clearedPins) {
+    body.appendChild(
+      createPanelButton(
+        `Undo clear (${state.clearedPins.size})`,
+        undoClearAllMarkers,
+        "#6b7280",
+      ),
+    );
+  }
+}
+
+/**
+ * Re-render the pins panel if it is open
+ */
+function refreshPinsPanel() {
+  if (state.ui.pinsPanel?.panel.isConnected) renderPinsPanel();
+}
+
+function openPinsPanel() {
+  state.ui.pinsPanel = createSidePanel("Pinned Messages", "chat-pins-panel");
+  state.ui.pinsPanel.allChannels = false;
+  state.ui.pinsPanel.actions.prepend(
+    createPanelSelect(
+      [
+        { value: "current", label: "This channel" },
+        { value: "all", label: "All channels" },
+      ],
+      "current",
+      (value) => {
+        state.ui.pinsPanel.allChannels = value === "all";
+        renderPinsPanel();
+      },
+    ),
+    createPanelButton(
+      "Clear all",
+      () => {
+        if (state.markedMessages.size > 0) clearAllMarkers();
+      },
+      "#f59e0b",
+    ),
+  );
+  renderPinsPanel();
+}
+
+// ============================================================================
+// TRADE BOARD
+// ============================================================================
+
+const TRADE_SIDES = {
+  sell: { label: "Selling", color: "#059669" },
+  buy: { label: "Buying", color: "#2563eb" },
+  trade: { label: "Trading", color: "#9333ea" },
+};
+
+function formatAge(ms) {
+  const minutes = Math.floor(ms / 60000);
+  if (minutes < 1) return "just now";
+  if (minutes < 60) return `${minutes}m ago`;
+  return `${Math.floor(minutes / 60)}h ${minutes % 60}m ago`;
+}
+
+function createTradeOfferRow(offer, now) {
+  const side = TRADE_SIDES[offer.side];
+  const row = document.createElement("div");
+  row.title = getItemNotation(offer.record);
+  row.style.cssText = `
+    display: flex;
+    align-items: baseline;
+    gap: 6px;
+    padding: 4px 6px;
+    border-left: 3px solid ${side.color};
+    border-radius: 4px;
+    cursor: pointer;
+  `;
+  row.addEventListener("mouseenter", () => {
+    row.style.background = "#eef2ff";
+  });
+  row.addEventListener("mouseleave", () => {
+    row.style.background = "";
+  });
+  // Jumps to the message, or shows its archived copy once it has scrolled
+  // out of the chat buffer
+  row.addEventListener("click", () => openNotifiedMessage(offer.record));
+
+  const label = document.createElement("span");
+  label.textContent = side.label;
+  label.style.cssText = `
+    font-size: 12px;
+    font-weight: bold;
+    color: ${side.color};
+  `;
+
+  const details = document.createElement("span");
+  details.style.flex = "1";
+  details.textContent = [
+    offer.quantity !== null ? `${offer.quantity.toLocaleString()}×` : "",
+    offer.price ? `@ ${formatTradePrice(offer.price)}` : "",
+  ]
+    .filter((part) => part)
+    .join(" ");
+
+  const meta = document.createElement("span");
+  meta.style.cssText = `
+    font-size: 12px;
+    color: #6b7280;
+  `;
+  meta.textContent = `${offer.record.author} · ${formatAge(now - offer.record.seenAt)}`;
+
+  row.append(label, details, meta);
+  return row;
+}
+
+function renderTradeBoard() {
+  const { body, side, search } = state.ui.tradeBoard;
+  body.replaceChildren();
+
+  const now = Date.now();
+  pruneTradeOffers(now);
+
+  // Item name -> offers, newest first
+  const groups = new Map();
+  const query = search.value.trim().toLowerCase();
+  const offers = Array.from(state.tradeOffers.values())
+    .filter((offer) => side === "all" || offer.side === side)
+    .filter((offer) => !query || offer.item.toLowerCase().includes(query))
+    .sort((a, b) => b.record.seenAt - a.record.seenAt);
+  for (const offer of offers) {
+    const key = offer.item.toLowerCase();
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(offer);
+  }
+
+  if (groups.size === 0) {
+    const empty = document.createElement("div");
+    empty.textContent = `No trade offers in the last ${state.settings.trade.expiryMinutes} minutes.`;
+    empty.style.color = "#8e8e93";
+    body.appendChild(empty);
+  }
+
+  // Items with the most offers first
+  const sorted = Array.from(groups.values()).sort(
+    (a, b) => b.length - a.length,
+  );
+  for (const group of sorted) {
+    const heading = document.createElement("div");
+    heading.textContent = `((${group[0].item})) · ${group.length}`;
+    heading.style.cssText = `
+      margin: 10px 0 4px;
+      font-weight: bold;
+    `;
+    body.appendChild(heading);
+    for (const offer of group) {
+      body.appendChild(createTradeOfferRow(offer, now));
+    }
+  }
+}
+
+/**
+ * Re-render the trade board if it is open
+ */
+function refreshTradeBoard() {
+  if (state.ui.tradeBoard?.panel.isConnected) renderTradeBoard();
+}
+
+function openTradeBoard() {
+  const board = createSidePanel("Trade Board", "chat-trade-board");
+  board.side = "all";
+
+  board.search = createPanelInput("", "Filter items…");
+  board.search.style.margin = "8px 16px 0";
+  board.search.addEventListener("input", renderTradeBoard);
+  board.panel.insertBefore(board.search, board.body);
+
+  board.actions.prepend(
+    createPanelSelect(
+      [
+        { value: "all", label: "All offers" },
+        ...Object.entries(TRADE_SIDES).map(([value, { label }]) => ({
+          value,
+          label,
+        })),
+      ],
+      "all",
+      (value) => {
+        board.side = value;
+        renderTradeBoard();
+      },
+    ),
+  );
+
+  // Keep ages current; stops once the panel is closed
+  const timer = setInterval(() => {
+    if (board.panel.isConnected) renderTradeBoard();
+    else clearInterval(timer);
+  }, CONFIG.TRADE_BOARD_REFRESH);
+
+  state.ui.tradeBoard = board;
+  renderTradeBoard();
+}
+
+// ============================================================================
+// NOTIFICATION CLICKS
+// ============================================================================
+
+/**
+ * Show the message a notification was about: jump to it in chat, or show
+ * its archived copy if it has left the chat buffer
+ */
+async function openNotifiedMessage(target) {
+  markAlertRead(target.id);
+  try {
+    // The chat may be re-rendering after the tab regains focus
+    await findChatContainer(5);
+  } catch (e) {
+    console.warn("[Chat] Chat not visible, showing archived copy");
+  }
+
+  if (jumpToMessage(target.id)) return;
+
+  let record = target;
+  try {
+    record = (await getArchivedMessage(target.id)) || target;
+  } catch (e) {
+    console.error("[Chat] Failed to read archived message:", e);
+  }
+  showMessagePopover(record);
+}
+
+/**
+ * Small floating card showing an archived message
+ */
+function showMessagePopover(record) {
+  document.querySelector(".chat-message-popover")?.remove();
+
+  const popover = document.createElement("div");
+  popover.className = `chat-message-popover ${CONFIG.UI_CLASS}`;
+  popover.style.cssText = `
+    position: fixed;
+    top: 80px;
+    left: 50%;
+    transform: translateX(-50%);
+    z-index: 10001;
+    width: min(420px, 90vw);
+    padding: 10px 12px;
+    border-radius: 8px;
+    background: white;
+    color: #222;
+    font-size: 14px;
+    box-shadow: 0 4px 16px rgba(0, 0, 0, 0.3);
+  `;
 
-  console.log("[Chat] Highlighter stopped");
-}
+  const header = document.createElement("div");
+  header.style.cssText = `
+    display: flex;
+    align-items: center;
+    gap: 8px;
+    margin-bottom: 6px;
+    font-size: 12px;
+    color: #6b7280;
+  `;
 
-function startSeparator() {
-  if (state.features.separator) return;
+  const title = document.createElement("span");
+  title.textContent = `No longer in chat · seen ${new Date(record.seenAt).toLocaleString()}`;
+  title.style.flex = "1";
 
-  state.features.separator = true;
-  startObserver();
+  const close = () => {
+    popover.remove();
+    document.removeEventListener("mousedown", onOutsideClick);
+  };
+  const onOutsideClick = (e) => {
+    if (!popover.contains(e.target)) close();
+  };
 
-  console.log("[Chat] Session separator started");
+  header.append(title, createPanelButton("✕", close, "#8e8e93"));
+
+  const line = renderArchivedMessage(record);
+  applyArchivedStyles(line, record);
+
+  popover.append(header, line);
+  document.body.appendChild(popover);
+  document.addEventListener("mousedown", onOutsideClick);
 }
 
-function stopSeparator() {
-  state.features.separator = false;
+// ============================================================================
+// UNREAD ALERTS
+// ============================================================================
 
-  // Remove separators
-  const separators = document.querySelectorAll(".chat-separator");
-  separators.forEach((sep) => sep.remove());
+/**
+ * Marks unread hits as read once they are on screen while the tab is
+ * visible. The viewport root also covers clipping by the chat's scroll area.
+ */
+function getUnreadObserver() {
+  if (!state.unreadObserver && "IntersectionObserver" in window) {
+    state.unreadObserver = new IntersectionObserver(
+      (entries) => {
+        if (document.visibilityState !== "visible") return;
+        for (const entry of entries) {
+          if (entry.isIntersecting) markAlertRead(getMessageId(entry.target));
+        }
+      },
+      { threshold: 0.6 },
+    );
 
-  console.log("[Chat] Session separator stopped");
+    // Lines scrolled into view while the tab was hidden count once it's back
+    document.addEventListener("visibilitychange", () => {
+      if (document.visibilityState === "visible") observeUnreadMessages();
+    });
+  }
+  return state.unreadObserver;
 }
 
-function startMarkers() {
-  if (state.features.markers) return;
-
-  state.features.markers = true;
-  startObserver();
+/**
+ * (Re)observe every unread line still on screen
+ */
+function observeUnreadMessages() {
+  const observer = getUnreadObserver();
+  if (!observer) return;
+
+  for (const messageId of state.unreadAlerts) {
+    const messageElement = findMessageElement(messageId);
+    if (!messageElement) continue;
+    observer.unobserve(messageElement);
+    observer.observe(messageElement);
+  }
+}
 
-  // Add marker buttons to existing messages
-  const messages = document.querySelectorAll(".chat-txt");
-  addMarkerButtons(Array.from(messages));
+/**
+ * Count a new mention or keyword hit as unread until it is seen
+ */
+function trackUnreadAlert(messageElement) {
+  const record = createArchiveRecord(messageElement);
+  if (state.alertMessages.has(record.id)) return;
+
+  state.alertMessages.set(record.id, record);
+  state.unreadAlerts.add(record.id);
+
+  // Trim if too large
+  if (state.alertMessages.size > CONFIG.MAX_SEEN_MESSAGES) {
+    const [oldest] = state.alertMessages.keys();
+    state.alertMessages.delete(oldest);
+    state.unreadAlerts.delete(oldest);
+  }
 
-  console.log("[Chat] Attention markers started");
+  getUnreadObserver()?.observe(messageElement);
+  updateUnreadIndicators();
 }
 
-function stopMarkers() {
-  state.features.markers = false;
+function markAlertRead(messageId) {
+  if (!state.unreadAlerts.delete(messageId)) return;
 
-  // Remove all marker buttons and styling
-  removeAllMarkerButtons();
+  const messageElement = findMessageElement(messageId);
+  if (messageElement) state.unreadObserver?.unobserve(messageElement);
+  updateUnreadIndicators();
+}
 
-  // Clear marked messages set
-  state.markedMessages.clear();
+/**
+ * Show the unread count in the page title and on the sidebar button
+ */
+function updateUnreadIndicators() {
+  const count = state.unreadAlerts.size;
+  const title = document.title.replace(/^\(\d+\) /, "");
+  document.title = count > 0 ? `(${count}) ${title}` : title;
+
+  const button = state.ui.unreadButton;
+  if (button) {
+    button.textContent = `🔔 ${count} unread`;
+    button.style.backgroundColor = count > 0 ? "#dc2626" : "#8e8e93";
+  }
+}
 
-  console.log("[Chat] Attention markers stopped");
+/**
+ * Show a tracked hit (on screen, or its archived copy) and mark it read
+ */
+function showAlertMessage(messageId) {
+  state.alertCursor = messageId;
+  markAlertRead(messageId);
+  if (!jumpToMessage(messageId)) {
+    showMessagePopover(state.alertMessages.get(messageId));
+  }
 }
 
-function clearAllMarkers() {
-  // Clear all marked messages
-  state.markedMessages.clear();
+/**
+ * Step through tracked hits. step: 1 for newer, -1 for older
+ */
+function showAdjacentAlert(step) {
+  const ids = Array.from(state.alertMessages.keys());
+  if (ids.length === 0) {
+    showToast("No mentions or keyword hits yet");
+    return;
+  }
 
-  // Remove marker styling from all messages
-  const markedMessages = document.querySelectorAll(".chat-marked");
-  markedMessages.forEach((msg) => {
-    removeMarkerStyle(msg);
-    const button = msg.querySelector(".chat-marker-btn");
-    if (button) {
-      button.style.opacity = "0.6";
-    }
-  });
+  let index = ids.indexOf(state.alertCursor);
+  if (index === -1) {
+    // Start at the oldest unread hit, or the newest if all are read
+    const firstUnread = ids.findIndex((id) => state.unreadAlerts.has(id));
+    index = firstUnread !== -1 ? firstUnread : ids.length - 1;
+  } else {
+    index += step;
+  }
 
-  console.log("[Chat] All markers cleared");
+  if (index < 0 || index >= ids.length) {
+    showToast(step > 0 ? "No newer hits" : "No older hits");
+    return;
+  }
+  showAlertMessage(ids[index]);
 }
 
-function startKeywordWatcher() {
-  if (state.features.keywords) return;
+/**
+ * Jump to the oldest unread hit
+ */
+function showNextUnreadAlert() {
+  const [messageId] = state.unreadAlerts;
+  if (messageId) {
+    showAlertMessage(messageId);
+  } else {
+    showToast("No unread mentions or keyword hits");
+  }
+}
 
-  // Load saved keywords
-  loadKeywords();
+// ============================================================================
+// HISTORY SEARCH
+// ============================================================================
 
-  // If no keywords, prompt to add
-  if (state.keywords.size === 0) {
-    const input = prompt(
-      "Enter keywords to watch (comma-separated):\nExample: dragon egg, trade, rare item",
-    );
-    if (!input) return;
+/**
+ * Rebuild an archived message in chat-line layout, so the live styling
+ * helpers (pins, keyword badges, own-message border) apply unchanged
+ */
+function renderArchivedMessage(record) {
+  const line = document.createElement("div");
+  line.className = "chat-archived";
+  line.style.cssText = `
+    margin: 2px 0;
+    padding: 2px;
+    word-break: break-word;
+  `;
 
-    // Parse and save keywords
-    const keywords = input
-      .split(",")
-      .map((k) => k.trim().toLowerCase().replace(/[()]/g, ""))
-      .filter((k) => k);
-    state.keywords = new Set(keywords);
-    saveKeywords();
-  }
+  const time = document.createElement("span");
+  time.textContent = record.timestamp;
+  time.style.cssText = `
+    font-size: 11px;
+    color: #6b7280;
+  `;
 
-  state.features.keywords = true;
-  startObserver();
+  const author = document.createElement("span");
+  if (!record.isSystem) {
+    const link = document.createElement("a");
+    link.href = `profile.php?user_name=${encodeURIComponent(record.authorSlug).replace(/%20/g, "+")}`;
+    link.textContent = record.author;
+    link.style.fontWeight = "bold";
+    author.appendChild(link);
+  }
 
-  console.log(
-    "[Chat] Keyword watcher started. Watching:",
-    Array.from(state.keywords),
+  const separator = document.createElement("span");
+  separator.textContent = record.isSystem ? "" : ": ";
+
+  const text = document.createElement("span");
+  text.textContent = [
+    record.text,
+    ...record.items.map((item) => `((${item}))`),
+  ].join(" ");
+
+  // Same child positions as a live chat line (see parseChatMessage)
+  line.append(
+    time,
+    document.createElement("br"),
+    author,
+    document.createElement("span"),
+    separator,
+    text,
   );
+  return line;
 }
 
-function stopKeywordWatcher() {
-  state.features.keywords = false;
-  state.keywordMatches.clear();
-  removeKeywordHighlights();
-  console.log("[Chat] Keyword watcher stopped");
+/**
+ * Apply the live chat highlight styles to a rendered archive line
+ */
+function applyArchivedStyles(line, record) {
+  if (state.features.highlighting && isOwnMessage(record)) {
+    line.style.border = CONFIG.HIGHLIGHT_BORDER;
+    line.style.borderRadius = "6px";
+  }
+
+  const matches = getRuleMatches(record, {
+    channel: record.channel || "",
+    date: new Date(record.seenAt),
+  });
+  if (matches.length > 0) {
+    applyAlertHighlight(line, matches);
+  }
+
+  if (state.markedMessages.has(record.id)) {
+    applyMarkerStyle(line);
+  }
 }
 
-function manageKeywords() {
-  const currentKeywords = Array.from(state.keywords).join(", ");
-  const input = prompt(
-    `Current keywords: ${currentKeywords || "None"}\n\nEnter new keywords (comma-separated):`,
-    currentKeywords,
+function createHistoryResult(record) {
+  const container = document.createElement("div");
+  container.style.cssText = `
+    margin-bottom: 10px;
+    padding-bottom: 8px;
+    border-bottom: 1px solid #e5e7eb;
+  `;
+
+  const seen = document.createElement("div");
+  seen.textContent = new Date(record.seenAt).toLocaleString();
+  seen.style.cssText = `
+    font-size: 11px;
+    color: #6b7280;
+  `;
+
+  const line = renderArchivedMessage(record);
+  applyArchivedStyles(line, record);
+
+  const contextBtn = createPanelButton(
+    "Show context",
+    async () => {
+      contextBtn.remove();
+      try {
+        const { before, after } = await getArchiveContext(record);
+        const renderContext = (neighbor) => {
+          const neighborLine = renderArchivedMessage(neighbor);
+          applyArchivedStyles(neighborLine, neighbor);
+          neighborLine.style.opacity = "0.6";
+          return neighborLine;
+        };
+        // Newest first, matching the live chat
+        const older = before.map(renderContext);
+        const newer = after.map(renderContext);
+        if (CONFIG.CHAT_NEWEST_FIRST) {
+          line.before(...newer.reverse());
+          line.after(...older.reverse());
+        } else {
+          line.before(...older);
+          line.after(...newer);
+        }
+      } catch (e) {
+        console.error("[Chat] Failed to load context:", e);
+      }
+    },
+    "#6b7280",
   );
+  contextBtn.style.fontSize = "12px";
+  contextBtn.style.padding = "2px 8px";
 
-  if (input === null) return;
+  container.append(seen, line, contextBtn);
+  return container;
+}
 
-  if (input.trim() === "") {
-    // Clear all keywords
-    state.keywords.clear();
-    saveKeywords();
-    console.log("[Chat] All keywords cleared");
-  } else {
-    // Update keywords
-    const keywords = input
-      .split(",")
-      .map((k) => k.trim().toLowerCase().replace(/[()]/g, ""))
-      .filter((k) => k);
-    state.keywords = new Set(keywords);
-    saveKeywords();
-    console.log("[Chat] Keywords updated:", Array.from(state.keywords));
-  }
+/**
+ * Read a date input as a timestamp at the start (or end) of that day
+ */
+function parseDateInput(input, endOfDay) {
+  if (!input.value) return null;
+  const [year, month, day] = input.value.split("-").map(Number);
+  return endOfDay
+    ? new Date(year, month - 1, day, 23, 59, 59, 999).getTime()
+    : new Date(year, month - 1, day).getTime();
 }
 
-function resetAll() {
-  stopMentionWatcher();
-  stopHighlighter();
-  stopSeparator();
-  stopMarkers();
-  stopKeywordWatcher();
-  clearUsername();
-  state.username = null;
+function openHistoryPanel() {
+  const modal = createModal("Search Chat History", "640px");
+
+  if (!state.settings.archive.enabled) {
+    const notice = document.createElement("div");
+    notice.textContent =
+      "Chat history is turned off in settings, so only messages saved earlier can be found.";
+    notice.style.cssText = `
+      margin-bottom: 8px;
+      color: #b45309;
+    `;
+    modal.body.appendChild(notice);
+  }
 
-  console.log("[Chat] All features reset");
-}
+  const form = document.createElement("div");
+  form.style.cssText = `
+    display: grid;
+    grid-template-columns: 1fr 1fr;
+    gap: 6px;
+    margin-bottom: 12px;
+  `;
 
-// ============================================================================
-// UI CONTROLS
-// ============================================================================
+  const textInput = createPanelInput("", "Text");
+  const authorInput = createPanelInput("", "Author");
+  const itemInput = createPanelInput("", "((Item))");
 
-function createControlButton(text, onClick, inactiveColor = "#8e8e93") {
-  const button = document.createElement("button");
-  button.textContent = text;
-  button.style.cssText = `
-    padding: 8px 12px;
-    margin: 4px 0;
-    width: 100%;
-    font-size: 13px;
-    border: none;
-    border-radius: 4px;
-    cursor: pointer;
-    color: white;
-    background-color: ${inactiveColor};
-    transition: background-color 0.2s;
+  const mentionsLabel = document.createElement("label");
+  mentionsLabel.style.cssText = `
+    display: flex;
+    align-items: center;
+    gap: 6px;
   `;
+  const mentionsCheckbox = document.createElement("input");
+  mentionsCheckbox.type = "checkbox";
+  mentionsLabel.append(mentionsCheckbox, "Mentions me");
+
+  const fromInput = createPanelInput();
+  fromInput.type = "date";
+  fromInput.title = "From";
+  const toInput = createPanelInput();
+  toInput.type = "date";
+  toInput.title = "To";
+
+  const results = document.createElement("div");
+
+  async function runSearch() {
+    results.textContent = "Searching…";
+
+    const filters = {
+      text: textInput.value.trim(),
+      author: authorInput.value.trim(),
+      item: itemInput.value.trim(),
+      mentionsMe: mentionsCheckbox.checked,
+      from: parseDateInput(fromInput, false),
+      to: parseDateInput(toInput, true),
+    };
+
+    try {
+      const matches = await searchArchive(filters);
+      results.replaceChildren();
+
+      const summary = document.createElement("div");
+      summary.style.cssText = `
+        margin-bottom: 8px;
+        color: #6b7280;
+      `;
+      summary.textContent =
+        matches.length >= CONFIG.HISTORY_RESULT_LIMIT
+          ? `Showing the newest ${matches.length} matches`
+          : `${matches.length} matches`;
+      results.appendChild(summary);
+
+      for (const record of matches) {
+        results.appendChild(createHistoryResult(record));
+      }
+    } catch (e) {
+      console.error("[Chat] History search failed:", e);
+      results.textContent = "Chat history is unavailable.";
+    }
+  }
 
-  button.addEventListener("click", onClick);
+  for (const input of [textInput, authorInput, itemInput]) {
+    input.addEventListener("keydown", (e) => {
+      if (e.key === "Enter") runSearch();
+    });
+  }
 
-  return button;
-}
+  form.append(
+    textInput,
+    authorInput,
+    itemInput,
+    mentionsLabel,
+    fromInput,
+    toInput,
+  );
+  modal.body.append(form, results);
+  modal.footer.append(
+    createPanelButton("Close", modal.close, "#8e8e93"),
+    createPanelButton("Search", runSearch),
+  );
 
-function updateButtonState(button, active, activeText, inactiveText) {
-  button.textContent = active ? activeText : inactiveText;
-  button.style.backgroundColor = active ? "#dc2626" : "#007aff";
+  runSearch();
 }
 
-function initializeUI() {
-  // Find the sidebar list
-  const sidebar = document.querySelector(".page-content > div > ul");
-  if (!sidebar) {
-    console.log("[Chat] Sidebar not found, retrying...");
-    setTimeout(initializeUI, 500);
-    return;
+// ============================================================================
+// TRANSCRIPT EXPORT
+// ============================================================================
+
+/**
+ * Collect transcript entries, oldest first.
+ * source: "visible" | "pins" | "history"; from/to bound "history".
+ */
+async function collectTranscript(source, from, to) {
+  let records;
+  if (source === "visible") {
+    const lines = Array.from(document.querySelectorAll(".chat-txt"));
+    if (CONFIG.CHAT_NEWEST_FIRST) lines.reverse();
+    records = lines.map((line) => createArchiveRecord(line));
+  } else if (source === "pins") {
+    records = Array.from(state.markedMessages.values()).sort(
+      (a, b) => a.pinnedAt - b.pinnedAt,
+    );
+  } else {
+    records = await readArchiveRange(from, to);
   }
 
-  console.log("[Chat] Initializing UI controls");
+  return records.map((record) => ({
+    seenAt: record.seenAt ?? record.pinnedAt ?? null,
+    timestamp: record.timestamp,
+    channel: record.channel || "",
+    author: record.author || "",
+    text: getItemNotation(record),
+    items: record.items,
+    note: record.note || "",
+  }));
+}
 
-  // Mention Watcher Button
-  const mentionBtn = createControlButton("Start Mention Watcher", () => {
-    if (state.features.mentions) {
-      stopMentionWatcher();
-      updateButtonState(
-        mentionBtn,
-        false,
-        "Stop Mention Watcher",
-        "Start Mention Watcher",
-      );
-    } else {
-      startMentionWatcher();
-      updateButtonState(
-        mentionBtn,
-        true,
-        "Stop Mention Watcher",
-        "Start Mention Watcher",
-      );
-    }
-  });
+function formatTranscriptMarkdown(entries, title) {
+  const lines = [
+    `# ${title}`,
+    "",
+    `Exported ${new Date().toLocaleString()}`,
+    "",
+  ];
+  // Keep chat text, names and notes from being read as Markdown
+  const escape = (value) => value.replace(/([\\`*_[\]<>#|])/g, "\\$1");
+  for (const entry of entries) {
+    const time = entry.timestamp ? `[${entry.timestamp}] ` : "";
+    const text = escape(entry.text);
+    lines.push(
+      entry.author
+        ? `- ${time}**${escape(entry.author)}:** ${text}`
+        : `- ${time}*${text}*`,
+    );
+    if (entry.note) lines.push(`  - Note: ${escape(entry.note)}`);
+  }
+  return lines.join("\n") + "\n";
+}
 
-  const mentionLi = document.createElement("li");
-  mentionLi.appendChild(mentionBtn);
-  sidebar.appendChild(mentionLi);
-
-  // Highlighter Button
-  const highlightBtn = createControlButton("Highlight My Messages", () => {
-    if (state.features.highlighting) {
-      stopHighlighter();
-      updateButtonState(
-        highlightBtn,
-        false,
-        "Stop Highlighting",
-        "Highlight My Messages",
-      );
-    } else {
-      startHighlighter();
-      updateButtonState(
-        highlightBtn,
-        true,
-        "Stop Highlighting",
-        "Highlight My Messages",
-      );
-    }
-  });
+function formatTranscriptCsv(entries) {
+  const quote = (value) => {
+    let cell = String(value);
+    // Spreadsheets run cells starting with these as formulas
+    if (/^[=+\-@\t\r]/.test(cell)) cell = `'${cell}`;
+    return `"${cell.replace(/"/g, '""')}"`;
+  };
+  const rows = [["date", "time", "channel", "author", "text", "items", "note"]];
+  for (const entry of entries) {
+    rows.push([
+      entry.seenAt ? new Date(entry.seenAt).toISOString() : "",
+      entry.timestamp,
+      entry.channel,
+      entry.author,
+      entry.text,
+      entry.items.join("; "),
+      entry.note,
+    ]);
+  }
+  return rows.map((row) => row.map(quote).join(",")).join("\r\n") + "\r\n";
+}
 
-  const highlightLi = document.createElement("li");
-  highlightLi.appendChild(highlightBtn);
-  sidebar.appendChild(highlightLi);
-
-  // Attention Markers Button
-  const markersBtn = createControlButton("Enable Message Pins", () => {
-    if (state.features.markers) {
-      stopMarkers();
-      updateButtonState(
-        markersBtn,
-        false,
-        "Disable Message Pins",
-        "Enable Message Pins",
-      );
-      clearMarkersLi.style.display = "none";
-    } else {
-      startMarkers();
-      updateButtonState(
-        markersBtn,
-        true,
-        "Disable Message Pins",
-        "Enable Message Pins",
-      );
-      clearMarkersLi.style.display = "block";
-    }
-  });
+const TRANSCRIPT_FORMATS = {
+  markdown: {
+    label: "Markdown",
+    extension: "md",
+    type: "text/markdown",
+    format: formatTranscriptMarkdown,
+  },
+  csv: {
+    label: "CSV",
+    extension: "csv",
+    type: "text/csv",
+    format: formatTranscriptCsv,
+  },
+  json: {
+    label: "JSON",
+    extension: "json",
+    type: "application/json",
+    format: (entries, title) =>
+      JSON.stringify(
+        { title, exportedAt: new Date().toISOString(), messages: entries },
+        null,
+        2,
+      ),
+  },
+};
 
-  const markersLi = document.createElement("li");
-  markersLi.appendChild(markersBtn);
-  sidebar.appendChild(markersLi);
+const TRANSCRIPT_SOURCES = [
+  { value: "visible", label: "Chat on screen" },
+  { value: "pins", label: "Pinned messages" },
+  { value: "history", label: "Chat history (date range)" },
+];
+
+function openTranscriptExport() {
+  const modal = createModal("Export Chat");
+  let source = "visible";
+  let format = "markdown";
+
+  const form = document.createElement("div");
+  form.style.cssText = `
+    display: flex;
+    flex-wrap: wrap;
+    gap: 6px;
+  `;
 
-  // Clear Markers Button (only visible when markers are active)
-  const clearMarkersBtn = createControlButton(
-    "Clear All Pins",
-    () => {
-      if (state.markedMessages.size > 0) {
-        clearAllMarkers();
-      }
-    },
-    "#f59e0b",
-    "#f59e0b",
+  const fromInput = document.createElement("input");
+  fromInput.type = "date";
+  fromInput.style.cssText = PANEL_INPUT_STYLE;
+  const toInput = document.createElement("input");
+  toInput.type = "date";
+  toInput.style.cssText = PANEL_INPUT_STYLE;
+  const range = document.createElement("div");
+  range.style.cssText = `
+    display: none;
+    align-items: center;
+    gap: 6px;
+    width: 100%;
+  `;
+  range.append(fromInput, "to", toInput);
+
+  form.append(
+    createPanelSelect(TRANSCRIPT_SOURCES, source, (value) => {
+      source = value;
+      range.style.display = value === "history" ? "flex" : "none";
+    }),
+    createPanelSelect(
+      Object.entries(TRANSCRIPT_FORMATS).map(([value, { label }]) => ({
+        value,
+        label,
+      })),
+      format,
+      (value) => {
+        format = value;
+      },
+    ),
+    range,
   );
 
-  const clearMarkersLi = document.createElement("li");
-  clearMarkersLi.appendChild(clearMarkersBtn);
-  clearMarkersLi.style.display = "none";
-  sidebar.appendChild(clearMarkersLi);
-
-  // Session Separator Button
-  const separatorBtn = createControlButton("Enable Session Separator", () => {
-    if (state.features.separator) {
-      stopSeparator();
-      updateButtonState(
-        separatorBtn,
-        false,
-        "Disable Session Separator",
-        "Enable Session Separator",
-      );
-    } else {
-      startSeparator();
-      updateButtonState(
-        separatorBtn,
-        true,
-        "Disable Session Separator",
-        "Enable Session Separator",
-      );
-    }
-  });
+  const status = document.createElement("div");
+  status.style.cssText = `
+    flex: 1;
+    align-self: center;
+    font-size: 13px;
+    color: #6b7280;
+  `;
 
-  const separatorLi = document.createElement("li");
-  separatorLi.appendChild(separatorBtn);
-  sidebar.appendChild(separatorLi);
-
-  // Auto-start session separator
-  startSeparator();
-  updateButtonState(
-    separatorBtn,
-    true,
-    "Disable Session Separator",
-    "Enable Session Separator",
-  );
-
-  // Keyword Watcher Button
-  const keywordBtn = createControlButton("Enable Item Keyword Alerts", () => {
-    if (state.features.keywords) {
-      stopKeywordWatcher();
-      updateButtonState(
-        keywordBtn,
-        false,
-        "Disable Item Keyword Alerts",
-        "Enable Item Keyword Alerts",
+  const downloadBtn = createPanelButton("Download", async () => {
+    status.textContent = "Collecting messages…";
+    try {
+      const entries = await collectTranscript(
+        source,
+        parseDateInput(fromInput, false),
+        parseDateInput(toInput, true),
       );
-      keywordManageBtn.style.display = "none";
-    } else {
-      startKeywordWatcher();
-      updateButtonState(
-        keywordBtn,
-        true,
-        "Disable Item Keyword Alerts",
-        "Enable Item Keyword Alerts",
+      if (entries.length === 0) {
+        status.textContent = "No messages to export.";
+        return;
+      }
+
+      const { label } = TRANSCRIPT_SOURCES.find((s) => s.value === source);
+      const { extension, type } = TRANSCRIPT_FORMATS[format];
+      downloadFile(
+        `farmrpg-chat-${source}-${getDateStamp()}.${extension}`,
+        TRANSCRIPT_FORMATS[format].format(entries, `FarmRPG ${label}`),
+        type,
       );
-      keywordManageBtn.style.display = "block";
+      status.textContent = `Exported ${entries.length} messages.`;
+      console.log("[Chat] Exported transcript:", source, entries.length);
+    } catch (e) {
+      console.error("[Chat] Failed to export transcript:", e);
+      status.textContent = "Export failed; chat history may be unavailable.";
     }
   });
 
-  const keywordLi = document.createElement("li");
-  keywordLi.appendChild(keywordBtn);
-  sidebar.appendChild(keywordLi);
-
-  // Manage Keywords Button
-  const keywordManageBtn = createControlButton(
-    "Manage Keywords",
-    () => {
-      manageKeywords();
-    },
-    "#a855f7",
-    "#a855f7",
-  );
-  // Hidden by default
-  keywordManageBtn.style.display = "none";
-
-  const keywordManageLi = document.createElement("li");
-  keywordManageLi.appendChild(keywordManageBtn);
-  sidebar.appendChild(keywordManageLi);
-
-  // Reset Button
-  const resetBtn = createControlButton(
-    "Reset All",
-    () => {
-      if (confirm("Reset username and stop all features?")) {
-        resetAll();
-        updateButtonState(
-          mentionBtn,
-          false,
-          "Stop Mention Watcher",
-          "Start Mention Watcher",
-        );
-        updateButtonState(
-          highlightBtn,
-          false,
-          "Stop Highlighting",
-          "Highlight My Messages",
-        );
-        updateButtonState(
-          markersBtn,
-          false,
-          "Disable Message Pins",
-          "Enable Message Pins",
-        );
-        updateButtonState(
-          separatorBtn,
-          false,
-          "Disable Session Separator",
-          "Enable Session Separator",
-        );
-        updateButtonState(
-          keywordBtn,
-          false,
-          "Disable Item Keyword Alerts",
-          "Enable Item Keyword Alerts",
-        );
-        clearMarkersLi.style.display = "none";
-        keywordManageBtn.style.display = "none";
-      }
-    },
-    "#7c2d12",
-    "#7c2d12",
+  modal.body.appendChild(form);
+  modal.footer.append(
+    status,
+    createPanelButton("Close", modal.close, "#8e8e93"),
+    downloadBtn,
   );
-
-  const resetLi = document.createElement("li");
-  resetLi.appendChild(resetBtn);
-  sidebar.appendChild(resetLi);
 }
 
 // ============================================================================
@@ -1201,6 +7605,13 @@ function initializeUI() {
 // ============================================================================
 
 (function init() {
+  loadSettings();
+
+  // Another tab may have added or deleted a profile
+  window.addEventListener("storage", (event) => {
+    if (event.key === CONFIG.PROFILES_KEY) state.profiles = null;
+  });
+
   // Wait for DOM
   if (document.readyState === "loading") {
     document.addEventListener("DOMContentLoaded", initializeUI);
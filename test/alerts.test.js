@@ -0,0 +1,138 @@
+const { test, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { readFixture, loadUserscript, evaluate } = require("./load-userscript");
+
+const windows = [];
+after(() => windows.forEach((window) => window.close()));
+
+/**
+ * Page with quiet hours in effect all day and sounds on. Returns the window
+ * and the list of tones played (one entry per note).
+ */
+function loadQuietPage(rules) {
+  const settings = {
+    version: 3,
+    username: "Ann Lee",
+    rules,
+    sound: { enabled: true, volume: 0.6, whenFocused: true },
+    quietHours: { enabled: true, from: "00:00", to: "23:59" },
+    archive: { enabled: false, retentionDays: 30, maxMessages: 5000 },
+  };
+  const window = loadUserscript({
+    chat: readFixture("mentions.html"),
+    storage: { farmrpg_chat_settings: JSON.stringify(settings) },
+  });
+  windows.push(window);
+
+  const notes = [];
+  window.AudioContext = class {
+    currentTime = 0;
+    destination = {};
+    createOscillator() {
+      return {
+        frequency: {},
+        connect: (node) => node,
+        start: () => notes.push("note"),
+        stop() {},
+      };
+    }
+    createGain() {
+      return {
+        gain: { setValueAtTime() {}, exponentialRampToValueAtTime() {} },
+        connect: (node) => node,
+      };
+    }
+  };
+  return { window, notes };
+}
+
+const soundRule = (bypassQuietHours) => ({
+  id: "rule-cy",
+  name: "From Cy",
+  enabled: true,
+  conditions: { author: "Cy" },
+  actions: { notify: false, sound: true, tone: "keyword", bypassQuietHours },
+});
+
+test("quiet hours mute a rule's sound", () => {
+  const { window, notes } = loadQuietPage([soundRule(false)]);
+  evaluate(
+    window,
+    `runAlertRules([...document.querySelectorAll(".chat-txt")])`,
+  );
+  assert.equal(notes.length, 0);
+});
+
+test("a rule that ignores quiet hours still plays its sound", () => {
+  const { window, notes } = loadQuietPage([soundRule(true)]);
+  evaluate(
+    window,
+    `runAlertRules([...document.querySelectorAll(".chat-txt")])`,
+  );
+  assert.ok(notes.length > 0);
+});
+
+/**
+ * Page with a rule allowing one notification per window. Returns the window,
+ * the notification titles sent, and a function delivering a match on the
+ * first chat line.
+ */
+function loadRateLimitedPage(bypassQuietHours = false) {
+  const window = loadUserscript({ chat: readFixture("mentions.html") });
+  windows.push(window);
+  const sent = [];
+  window.GM_notification = ({ title }) => sent.push(title);
+  const rule = JSON.stringify({
+    id: "rule-cy",
+    name: "From Cy",
+    actions: { notify: true, rateLimit: 1, bypassQuietHours },
+  });
+  const deliver = () =>
+    window.__evaluate(
+      `deliverRuleAlert({ rule: ${rule}, keywords: [] }, document.querySelector(".chat-txt"))`,
+    );
+  return { window, sent, deliver };
+}
+
+test("matches held for a digest go out when the next window starts", () => {
+  const { window, sent, deliver } = loadRateLimitedPage();
+  deliver();
+  deliver();
+  deliver();
+  assert.deepEqual(sent, ["Alert: From Cy"]);
+
+  // The window ends before its timer gets to run (e.g. a background tab)
+  window.__evaluate(
+    'state.ruleThrottles.get("rule-cy").windowStart -= CONFIG.ALERT_RATE_WINDOW',
+  );
+  deliver();
+  assert.deepEqual(sent, [
+    "Alert: From Cy",
+    "2 matches for From Cy in the last minute",
+    "Alert: From Cy",
+  ]);
+
+  // The old window's timer no longer touches the new window
+  assert.equal(evaluate(window, 'state.ruleThrottles.get("rule-cy").sent'), 1);
+});
+
+test("a digest that comes due during quiet hours is not sent", () => {
+  for (const bypass of [false, true]) {
+    const { window, sent, deliver } = loadRateLimitedPage(bypass);
+    deliver();
+    deliver();
+    deliver();
+    window.__evaluate(
+      'state.settings.quietHours = { enabled: true, from: "00:00", to: "23:59" }',
+    );
+    window.__evaluate(
+      'flushRuleDigest("rule-cy", state.ruleThrottles.get("rule-cy"))',
+    );
+    assert.deepEqual(
+      sent,
+      bypass
+        ? ["Alert: From Cy", "2 matches for From Cy in the last minute"]
+        : ["Alert: From Cy"],
+    );
+  }
+});
@@ -0,0 +1,35 @@
+const { test, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { readFixture, loadUserscript, evaluate } = require("./load-userscript");
+
+const windows = [];
+after(() => windows.forEach((window) => window.close()));
+
+test("reads the selected channel from the channel picker", () => {
+  const window = loadUserscript({
+    body: readFixture("channel-picker.html"),
+    chat: readFixture("normal.html"),
+  });
+  windows.push(window);
+
+  assert.equal(evaluate(window, "getActiveChannel()"), "Trade");
+  window.document.querySelector("#chatChannel").value = "help";
+  assert.equal(evaluate(window, "getActiveChannel()"), "Help");
+});
+
+test("warns once when no channel control is found", () => {
+  const warnings = [];
+  const window = loadUserscript({
+    chat: readFixture("normal.html"),
+    onConsole: (type, args) => {
+      if (type === "warn" && String(args[0]).includes("channel control")) {
+        warnings.push(args);
+      }
+    },
+  });
+  windows.push(window);
+
+  assert.equal(evaluate(window, "getActiveChannel()"), "");
+  assert.equal(evaluate(window, "getActiveChannel()"), "");
+  assert.equal(warnings.length, 1);
+});
@@ -0,0 +1,84 @@
+const { test, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { loadUserscript, evaluate } = require("./load-userscript");
+
+const windows = [];
+after(() => windows.forEach((window) => window.close()));
+
+/**
+ * Run settings through the import check. Returns { settings, warnings }.
+ * The string "1e999" stands for that number in the JSON text, which
+ * JSON.parse reads as Infinity.
+ */
+function importSettings(settings) {
+  const window = loadUserscript();
+  windows.push(window);
+  const json = JSON.stringify(settings).replace(/"1e999"/g, "1e999");
+  return evaluate(window, `parseSettingsImport(${JSON.stringify(json)})`);
+}
+
+const regexKeyword = (term) => ({
+  term,
+  scope: "text",
+  mode: "regex",
+  exclude: [],
+});
+
+test("imported regex keywords that could freeze chat are skipped", () => {
+  const { settings, warnings } = importSettings({
+    version: 3,
+    rules: [
+      {
+        id: "keywords",
+        builtin: "keywords",
+        conditions: {
+          keywords: [
+            regexKeyword("(a+)+$"),
+            regexKeyword("((\\w*x)y)*"),
+            regexKeyword("x".repeat(201)),
+            regexKeyword("iron|wood"),
+            regexKeyword("[+*]{2,}"),
+          ],
+        },
+        actions: {},
+      },
+    ],
+  });
+
+  const rule = settings.rules.find((r) => r.builtin === "keywords");
+  assert.deepEqual(
+    rule.conditions.keywords.map((k) => k.term),
+    ["iron|wood", "[+*]{2,}"],
+  );
+  assert.equal(
+    warnings.filter((w) => w.includes("could freeze the chat")).length,
+    3,
+  );
+});
+
+test("non-finite prices and limits are not imported", () => {
+  const { settings, warnings } = importSettings({
+    version: 3,
+    wishlist: [
+      { item: "Iron", side: "buy", quantity: "1e999", price: "-1e999" },
+    ],
+    prices: { items: [{ item: "Wood", price: "1e999" }] },
+    rules: [
+      {
+        id: "custom",
+        name: "Custom",
+        conditions: {},
+        actions: { rateLimit: "1e999" },
+      },
+    ],
+  });
+
+  assert.equal(settings.wishlist[0].quantity, 0);
+  assert.equal(settings.wishlist[0].price, 0);
+  assert.deepEqual(settings.prices.items, []);
+  assert.ok(warnings.includes("Skipped a malformed item price"));
+  assert.equal(
+    settings.rules.find((r) => r.id === "custom").actions.rateLimit,
+    0,
+  );
+});
@@ -0,0 +1,81 @@
+/**
+ * Load the userscript into a jsdom page built around chat fixtures.
+ *
+ * Fixtures in test/fixtures hold .chat-txt lines in the layout described at
+ * the top of the userscript (timestamp, <br>, author, two spacers, text).
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { JSDOM, VirtualConsole } = require("jsdom");
+
+const SCRIPT = fs.readFileSync(
+  path.join(__dirname, "..", "farmrpg-chat-enhancer.user.js"),
+  "utf8",
+);
+
+function readFixture(name) {
+  return fs.readFileSync(path.join(__dirname, "fixtures", name), "utf8");
+}
+
+/**
+ * Create a page and run the userscript in it.
+ * options.chat: HTML placed in #chatzoneDesktop
+ * options.body: extra HTML before the chat (sidebar, channel picker)
+ * options.storage: localStorage entries to seed
+ * options.confirm(message): answers confirm() prompts (default: decline)
+ * options.onConsole(type, args): receives the script's console output
+ */
+function loadUserscript(options = {}) {
+  const virtualConsole = new VirtualConsole();
+  if (options.onConsole) {
+    for (const type of ["log", "warn", "error"]) {
+      virtualConsole.on(type, (...args) => options.onConsole(type, args));
+    }
+  }
+
+  const dom = new JSDOM(
+    `<!doctype html><html><head><title>FarmRPG</title></head><body>
+      ${options.body || ""}
+      <div id="chatzoneDesktop">${options.chat || ""}</div>
+    </body></html>`,
+    {
+      url: "https://farmrpg.com/",
+      runScripts: "outside-only",
+      pretendToBeVisual: true,
+      virtualConsole,
+    },
+  );
+
+  const { window } = dom;
+  for (const [key, value] of Object.entries(options.storage || {})) {
+    window.localStorage.setItem(key, value);
+  }
+  window.Notification = class {
+    static permission = "denied";
+    static requestPermission() {
+      return Promise.resolve("denied");
+    }
+  };
+  window.confirm = options.confirm || (() => false);
+  window.HTMLElement.prototype.scrollIntoView = () => {};
+  // The script is strict, so its declarations stay inside this eval; leave
+  // a hook behind to reach them
+  window.eval(
+    `${SCRIPT}\nwindow.__evaluate = (expression) => eval(expression);`,
+  );
+  return window;
+}
+
+/**
+ * Evaluate an expression inside the script's scope and return a plain copy
+ * of the result, so it compares cleanly outside the jsdom realm
+ */
+function evaluate(window, expression) {
+  const json = window.__evaluate(`JSON.stringify(${expression})`);
+  return json === undefined ? undefined : JSON.parse(json);
+}
+
+const tick = (ms = 0) => new Promise((resolve) => setTimeout(resolve, ms));
+
+module.exports = { readFixture, loadUserscript, evaluate, tick };
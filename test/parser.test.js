@@ -0,0 +1,129 @@
+const { test, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { readFixture, loadUserscript, evaluate } = require("./load-userscript");
+
+const windows = [];
+after(() => windows.forEach((window) => window.close()));
+
+/**
+ * Parse every line of a fixture. Returns records without DOM references,
+ * plus each line's message id.
+ */
+function parseFixture(name) {
+  const window = loadUserscript({ chat: readFixture(name) });
+  windows.push(window);
+  return evaluate(
+    window,
+    `Array.from(document.querySelectorAll(".chat-txt")).map((line) => {
+      const { element, authorElement, textElement, ...record } =
+        parseChatMessage(line);
+      return { ...record, id: getMessageId(line) };
+    })`,
+  );
+}
+
+test("normal lines", () => {
+  const [ann, bob, hazel] = parseFixture("normal.html");
+
+  assert.equal(ann.timestamp, "3:42 PM");
+  assert.equal(ann.author, "Ann Lee");
+  assert.equal(ann.authorSlug, "ann lee");
+  assert.equal(ann.text, "anyone up for the fishing event later?");
+  assert.deepEqual(ann.items, []);
+  assert.deepEqual(ann.mentions, []);
+  assert.equal(ann.isSystem, false);
+  assert.equal(ann.isStaff, false);
+
+  // Percent-encoded profile links decode to the display name
+  assert.equal(bob.author, "Bob's Farm");
+  assert.equal(bob.authorSlug, "bob's farm");
+
+  assert.equal(hazel.author, "Hazel");
+  assert.equal(hazel.isStaff, true);
+});
+
+test("item links", () => {
+  const [trade, egg] = parseFixture("items.html");
+
+  assert.deepEqual(trade.items, ["Iron", "Wood"]);
+  assert.equal(trade.text, "selling 500 20s each, LF");
+  assert.equal(
+    trade.textWithItems,
+    "selling 500 ((Iron)) 20s each, LF ((Wood))",
+  );
+
+  // An item-only message still has an author and its item
+  assert.equal(egg.author, "Di");
+  assert.equal(egg.text, "");
+  assert.deepEqual(egg.items, ["Golden Egg"]);
+});
+
+test("system lines", () => {
+  const [restart, found] = parseFixture("system.html");
+
+  assert.equal(restart.isSystem, true);
+  assert.equal(restart.author, "");
+  assert.equal(restart.authorSlug, "");
+  assert.equal(restart.timestamp, "3:50 PM");
+  assert.equal(restart.text, "The server will restart in 5 minutes.");
+
+  // Short layout: no timestamp, the only child holds the text
+  assert.equal(found.isSystem, true);
+  assert.equal(found.timestamp, "");
+  assert.equal(found.text, "Ann Lee found a while exploring!");
+  assert.deepEqual(found.items, ["Mystery Box"]);
+});
+
+test("mentions", () => {
+  const [thanks, none] = parseFixture("mentions.html");
+
+  assert.equal(thanks.author, "Cy");
+  assert.deepEqual(thanks.mentions.sort(), ["ann lee", "hazel"]);
+  assert.equal(thanks.text, "@Ann Lee thanks! and @Hazel too");
+
+  assert.deepEqual(none.mentions, []);
+});
+
+test("duplicate text in the same minute gets distinct ids", () => {
+  const lines = parseFixture("duplicates.html");
+  const ids = lines.map((line) => line.id);
+
+  // Newest first: Cy's second "ty!" at 4:10 is #1, the first is #0
+  assert.match(ids[0], /^cy\|4:10 PM\|[^#]+#1$/);
+  assert.match(ids[1], /^di\|4:10 PM\|[^#]+#0$/);
+  assert.match(ids[2], /^cy\|4:10 PM\|[^#]+#0$/);
+  assert.match(ids[3], /^cy\|4:09 PM\|[^#]+#0$/);
+  assert.equal(new Set(ids).size, ids.length);
+
+  // Same author, minute and text share everything but the occurrence
+  assert.equal(ids[0].split("#")[0], ids[2].split("#")[0]);
+});
+
+test("duplicate ids stay put when the oldest copy leaves the buffer", () => {
+  const window = loadUserscript({ chat: readFixture("duplicates.html") });
+  windows.push(window);
+  const getIds = () =>
+    evaluate(
+      window,
+      'Array.from(document.querySelectorAll(".chat-txt")).map(getMessageId)',
+    );
+  const chat = window.document.querySelector("#chatzoneDesktop");
+  const [newerCopy, di, olderCopy] = getIds();
+
+  // The oldest lines, including the first "ty!", scroll out, then the game
+  // redraws the list
+  const lines = chat.querySelectorAll(".chat-txt");
+  lines[3].remove();
+  lines[2].remove();
+  assert.deepEqual(getIds(), [newerCopy, di]);
+  chat.innerHTML = chat.innerHTML;
+  assert.deepEqual(getIds(), [newerCopy, di]);
+
+  // A third copy arrives and takes a new occurrence, not a used one
+  const first = chat.querySelector(".chat-txt");
+  first.insertAdjacentHTML("beforebegin", first.outerHTML);
+  const [newest, ...rest] = getIds();
+  assert.deepEqual(rest, [newerCopy, di]);
+  assert.notEqual(newest, olderCopy);
+  assert.match(newest, /#2$/);
+});
@@ -0,0 +1,167 @@
+const { test, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { loadUserscript, evaluate, tick } = require("./load-userscript");
+
+const windows = [];
+after(() => windows.forEach((window) => window.close()));
+
+// Sidebar the script adds its buttons to
+const SIDEBAR = '<div class="page-content"><div><ul></ul></div></div>';
+
+const profileLink = (name) =>
+  `<a href="profile.php?user_name=${encodeURIComponent(name)}">${name}</a>`;
+
+/**
+ * Page with a side menu linking to the logged-in player's own profile
+ */
+function sidebarFor(name) {
+  return `<div class="panel-left">${profileLink(name)}</div>${SIDEBAR}`;
+}
+
+const getToast = (window) =>
+  window.document.querySelector(".chat-enhancer-toast");
+
+/**
+ * Load the page as `account` with settings saved before profiles existed
+ */
+async function loadWithLegacySettings(account, savedUsername) {
+  const prompts = [];
+  const window = loadUserscript({
+    body: sidebarFor(account),
+    storage: {
+      farmrpg_chat_settings: JSON.stringify({
+        version: 3,
+        username: savedUsername,
+      }),
+    },
+    confirm: (message) => {
+      prompts.push(message);
+      return false;
+    },
+  });
+  windows.push(window);
+  // The UI, and with it the profile, starts once the page has loaded
+  await tick();
+  return { window, prompts };
+}
+
+test("an account named in the old settings keeps them without asking", async () => {
+  const { window, prompts } = await loadWithLegacySettings("Main", "main");
+
+  assert.deepEqual(prompts, []);
+  assert.equal(evaluate(window, "loadProfiles().legacyAccount"), "main");
+  assert.equal(evaluate(window, "state.settings.username"), "main");
+});
+
+test("old settings with no username go to the first account", async () => {
+  const { window, prompts } = await loadWithLegacySettings("Main", "");
+
+  assert.deepEqual(prompts, []);
+  assert.equal(evaluate(window, "loadProfiles().legacyAccount"), "main");
+});
+
+test("offers another player's old settings to an account without a modal", async () => {
+  const { window, prompts } = await loadWithLegacySettings("Alt", "Main");
+
+  assert.deepEqual(prompts, []);
+  assert.match(getToast(window).textContent, /"Main".*Use for Alt/);
+  assert.equal(evaluate(window, "loadProfiles().legacyAccount"), null);
+  assert.equal(evaluate(window, "state.settings.username"), "Alt");
+  assert.equal(
+    JSON.parse(window.localStorage.getItem("farmrpg_chat_settings")).username,
+    "Main",
+  );
+});
+
+test("an account the player approves takes the old settings", async () => {
+  const { window } = await loadWithLegacySettings("Alt", "Main");
+  const deleted = [];
+  window.indexedDB = { deleteDatabase: (name) => deleted.push(name) };
+
+  getToast(window).querySelector("button").click();
+  await tick();
+  // The fresh profile the account was given is dropped
+  assert.deepEqual(deleted, ["farmrpg_chat_archive:alt"]);
+  assert.equal(window.localStorage.getItem("farmrpg_chat_settings:alt"), null);
+  assert.equal(evaluate(window, "loadProfiles().legacyAccount"), "alt");
+  assert.equal(evaluate(window, "state.settings.username"), "Main");
+});
+
+/**
+ * Point the side menu's self link at another player
+ */
+function showSelfLink(window, name) {
+  const link = window.document.querySelector(".panel-left a");
+  link.href = `profile.php?user_name=${encodeURIComponent(name)}`;
+  link.textContent = name;
+}
+
+test("a single different read of the page doesn't offer a switch", async () => {
+  const { window } = await loadWithLegacySettings("Main", "Main");
+
+  showSelfLink(window, "Alt");
+  window.__evaluate("checkAccountSwitch()");
+  showSelfLink(window, "Main");
+  window.__evaluate("checkAccountSwitch()");
+  showSelfLink(window, "Alt");
+  window.__evaluate("checkAccountSwitch()");
+
+  assert.equal(getToast(window), null);
+  assert.equal(evaluate(window, "state.account"), "main");
+});
+
+test("offers the other account's profile when the logged-in player changes", async () => {
+  const { window } = await loadWithLegacySettings("Main", "Main");
+  window.localStorage.setItem(
+    "farmrpg_chat_settings:alt",
+    JSON.stringify({
+      version: 3,
+      username: "Alt",
+      features: { markers: true },
+    }),
+  );
+
+  showSelfLink(window, "Alt");
+  window.__evaluate("checkAccountSwitch()");
+  assert.equal(getToast(window), null);
+  window.__evaluate("checkAccountSwitch()");
+  assert.match(getToast(window).textContent, /Switch chat profile to Alt\?/);
+  assert.equal(evaluate(window, "state.account"), "main");
+
+  getToast(window).querySelector("button").click();
+  await tick();
+
+  assert.equal(evaluate(window, "state.account"), "alt");
+  assert.equal(evaluate(window, "state.username"), "Alt");
+  assert.equal(evaluate(window, "state.features.markers"), true);
+  assert.equal(evaluate(window, "getStorageKey('x')"), "x:alt");
+  assert.deepEqual(Object.keys(evaluate(window, "loadProfiles().accounts")), [
+    "main",
+    "alt",
+  ]);
+  // The main account's saved choices are untouched
+  const main = JSON.parse(window.localStorage.getItem("farmrpg_chat_settings"));
+  assert.equal(main.username, "Main");
+  assert.equal(main.features.markers, false);
+});
+
+test("another player's profile page is not read as the logged-in player", async () => {
+  const window = loadUserscript({
+    body: `<div class="page-content"><div><ul>
+      <li>${profileLink("Rival")}</li>
+      <li>${profileLink("Friend")}</li>
+    </ul></div></div>`,
+  });
+  windows.push(window);
+  await tick();
+
+  assert.equal(evaluate(window, "detectUsername()"), "");
+  assert.equal(evaluate(window, "state.account"), null);
+
+  // With the side menu present, its link wins over the page's
+  window.document.body.insertAdjacentHTML(
+    "afterbegin",
+    `<div class="panel-left">${profileLink("Main")}</div>`,
+  );
+  assert.equal(evaluate(window, "detectUsername()"), "Main");
+});
@@ -0,0 +1,91 @@
+const { test, after } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  readFixture,
+  loadUserscript,
+  evaluate,
+  tick,
+} = require("./load-userscript");
+
+const windows = [];
+after(() => windows.forEach((window) => window.close()));
+
+// Sidebar the script adds its buttons to; starting the UI restores features
+const SIDEBAR = '<div class="page-content"><div><ul></ul></div></div>';
+
+/**
+ * Id of a line in a fixture, as the script computes it
+ */
+function getFixtureMessageId(fixture, index) {
+  const window = loadUserscript({ chat: readFixture(fixture) });
+  windows.push(window);
+  return evaluate(
+    window,
+    `getMessageId(document.querySelectorAll(".chat-txt")[${index}])`,
+  );
+}
+
+function loadWithLastRead(chat, lastRead) {
+  const settings = {
+    version: 3,
+    features: { separator: true },
+    archive: { enabled: false, retentionDays: 30, maxMessages: 5000 },
+  };
+  const window = loadUserscript({
+    body: SIDEBAR,
+    chat,
+    storage: {
+      farmrpg_chat_settings: JSON.stringify(settings),
+      farmrpg_chat_last_read: JSON.stringify({ "": lastRead }),
+    },
+  });
+  windows.push(window);
+  return window;
+}
+
+const getSavedLastRead = (window) =>
+  JSON.parse(window.localStorage.getItem("farmrpg_chat_last_read"))[""];
+
+test("separator follows the last-read line when the chat is already filled", async () => {
+  // Last read: Bob's line, so Ann's newer line is unread
+  const lastRead = getFixtureMessageId("normal.html", 1);
+  const window = loadWithLastRead(readFixture("normal.html"), lastRead);
+  await tick(50);
+
+  const separator = window.document.querySelector(".chat-separator");
+  assert.ok(separator);
+  assert.match(separator.nextElementSibling.textContent, /Bob's Farm/);
+});
+
+test("separator is placed when an empty chat is filled after startup", async () => {
+  const lastRead = getFixtureMessageId("normal.html", 1);
+  const window = loadWithLastRead("", lastRead);
+  await tick(50);
+  assert.equal(getSavedLastRead(window), lastRead);
+
+  // The game's first load of chat lines, with nothing removed
+  window.document
+    .querySelector("#chatzoneDesktop")
+    .insertAdjacentHTML("beforeend", readFixture("normal.html"));
+  await tick(50);
+
+  const separators = window.document.querySelectorAll(".chat-separator");
+  assert.equal(separators.length, 1);
+  assert.match(separators[0].nextElementSibling.textContent, /Bob's Farm/);
+  // Read position moves on only after the separator is in place
+  assert.notEqual(getSavedLastRead(window), lastRead);
+});
+
+test("separator marks the whole buffer when the last-read line has scrolled out", async () => {
+  // Read a line that is no longer in the buffer
+  const lastRead = getFixtureMessageId("duplicates.html", 3);
+  const window = loadWithLastRead(readFixture("normal.html"), lastRead);
+  await tick(50);
+
+  const separators = window.document.querySelectorAll(".chat-separator");
+  assert.equal(separators.length, 1);
+  assert.match(separators[0].textContent, /no longer shown/);
+  // Newest first, so past the oldest line is the bottom of the list
+  assert.match(separators[0].previousElementSibling.textContent, /Hazel/);
+  assert.equal(separators[0].nextElementSibling, null);
+});
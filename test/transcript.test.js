@@ -0,0 +1,43 @@
+const { test, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { loadUserscript, evaluate } = require("./load-userscript");
+
+const windows = [];
+after(() => windows.forEach((window) => window.close()));
+
+const ENTRY = {
+  seenAt: null,
+  timestamp: "3:45 PM",
+  channel: "Trade",
+  author: "*Star*_Farmer",
+  text: '=HYPERLINK("http://example.com") selling ((Iron))',
+  items: ["Iron"],
+  note: "-ask [later]",
+};
+
+function format(name) {
+  const window = loadUserscript();
+  windows.push(window);
+  return evaluate(
+    window,
+    `TRANSCRIPT_FORMATS.${name}.format([${JSON.stringify(ENTRY)}], "Chat")`,
+  );
+}
+
+test("CSV cells that would run as formulas are kept as text", () => {
+  const [, row] = format("csv").split("\r\n");
+  assert.equal(
+    row,
+    '"","3:45 PM","Trade","*Star*_Farmer","\'=HYPERLINK(""http://example.com"") selling ((Iron))","Iron","\'-ask [later]"',
+  );
+});
+
+test("Markdown escapes author names and notes like message text", () => {
+  const lines = format("markdown").split("\n");
+  assert.ok(
+    lines.includes(
+      '- [3:45 PM] **\\*Star\\*\\_Farmer:** =HYPERLINK("http://example.com") selling ((Iron))',
+    ),
+  );
+  assert.ok(lines.includes("  - Note: -ask \\[later\\]"));
+});
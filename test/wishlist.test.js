@@ -0,0 +1,54 @@
+const { test, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { readFixture, loadUserscript, evaluate } = require("./load-userscript");
+
+const windows = [];
+after(() => windows.forEach((window) => window.close()));
+
+/**
+ * Wishlist matches for a line of chat text, ((item)) notation included,
+ * against a single buying entry for Iron
+ */
+function matchIron(textWithItems, limits) {
+  const window = loadUserscript();
+  windows.push(window);
+  const entry = { item: "Iron", side: "buy", currency: "silver", ...limits };
+  window.__evaluate(`state.settings.wishlist = [${JSON.stringify(entry)}]`);
+  const record = { text: "", textWithItems, items: [], authorSlug: "cy" };
+  return evaluate(window, `getWishlistMatches(${JSON.stringify(record)})`);
+}
+
+test("matches an offer from a fixture line within the entry's limits", () => {
+  const window = loadUserscript({ chat: readFixture("items.html") });
+  windows.push(window);
+  window.__evaluate(
+    'state.settings.wishlist = [{ item: "Iron", side: "buy", quantity: 100, price: 25, currency: "silver" }]',
+  );
+
+  const hits = evaluate(
+    window,
+    'getWishlistMatches(createArchiveRecord(document.querySelector(".chat-txt")))',
+  );
+  assert.equal(hits.length, 1);
+  assert.equal(hits[0].offer.item, "Iron");
+  assert.equal(hits[0].offer.quantity, 500);
+});
+
+test("skips offers below the minimum quantity", () => {
+  const offer = "selling 500 ((Iron)) 20s each";
+  assert.equal(matchIron(offer, { quantity: 500, price: 0 }).length, 1);
+  assert.equal(matchIron(offer, { quantity: 1000, price: 0 }).length, 0);
+});
+
+test("skips offers outside the price limit", () => {
+  const offer = "selling 500 ((Iron)) 20s each";
+  assert.equal(matchIron(offer, { quantity: 0, price: 20 }).length, 1);
+  assert.equal(matchIron(offer, { quantity: 0, price: 10 }).length, 0);
+});
+
+test("offers without a quantity still match, offers without a price don't", () => {
+  const offer = "selling ((Iron))";
+  assert.equal(matchIron(offer, { quantity: 0, price: 0 }).length, 1);
+  assert.equal(matchIron(offer, { quantity: 1000, price: 0 }).length, 1);
+  assert.equal(matchIron(offer, { quantity: 0, price: 25 }).length, 0);
+});